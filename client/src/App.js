@@ -1,18 +1,507 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
 import './index.css';
 import { LayoutRegistry, Layout3D } from './PrototypePattern';
 import ThreeDViewer from './ThreeDViewer';
+import FloorPlanView from './FloorPlanView';
+import { LayoutValidationError } from './shared/layoutSchema.js';
+import { isDerivedLayout } from './shared/layoutOverlay.js';
+import { PLACEMENT_DEFAULTS } from './shared/placementValidation.js';
+import { ALL_MATERIALS, FINISH_CATEGORIES, ROOM_SURFACES, findFinish, finishesFor } from './shared/finishes.js';
+import { listLayouts, fetchLayout, createLayout, listRevisions, fetchRevision } from './LayoutApi';
+import { assetCache } from './AssetCache';
+import { DXFParser, ReconstructionEngine, LAYER_ROLES, listLayers, resolveLayerRole } from './DXFReconstruction';
+import { DXFExporter } from './DXFExport';
+import { SceneExporter } from './SceneExport';
+import { COMMON_UNITS, headerUnits } from './DXFUnits';
+import { SessionHistory, furnitureTarget, readTransform } from './SessionHistory';
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Hand generated file contents to the browser as a download
+ */
+function downloadFile(contents, fileName, type) {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * What the DXF reconstruction recognized in the last imported file
+ */
+function ImportSummary({ summary }) {
+    const skipped = Object.entries(summary.skipped);
+    return (
+        <ul className="import-summary">
+            <li>{summary.fileName}: {summary.entities} entities</li>
+            <li>
+                1 {summary.units} = {Number(summary.scale.toPrecision(4))} m ({summary.unitsSource}),
+                plan {summary.size.width.toFixed(2)} × {summary.size.depth.toFixed(2)} m
+            </li>
+            <li>{summary.rooms} rooms ({summary.labels} named from labels)</li>
+            <li>
+                {summary.walls} free-standing walls ({summary.segments.before} segments before clean-up:
+                {' '}{summary.segments.snapped} endpoints snapped, {summary.segments.duplicates} duplicates removed,
+                {' '}{summary.segments.merged} merged)
+            </li>
+            <li>{summary.doors} doors, {summary.windows} windows, {summary.furniture} furniture</li>
+            <li>{summary.inserts} block inserts expanded, {summary.ignored} entities on ignored layers</li>
+            {summary.unplaced > 0 && <li>{summary.unplaced} doors / windows / furniture could not be placed</li>}
+            {skipped.length > 0 && (
+                <li>Skipped: {skipped.map(([type, count]) => `${type} × ${count}`).join(', ')}</li>
+            )}
+        </ul>
+    );
+}
+
+/**
+ * Role of every layer of a parsed DXF file, editable before reconstruction
+ */
+function LayerRoleTable({ layerRoles, onChange }) {
+    return (
+        <table className="layer-roles">
+            <tbody>
+                {Object.entries(layerRoles).map(([layer, role]) => (
+                    <tr key={layer}>
+                        <td>{layer}</td>
+                        <td>
+                            <select value={role} onChange={(e) => onChange({ ...layerRoles, [layer]: e.target.value })}>
+                                {LAYER_ROLES.map(option => <option key={option} value={option}>{option}</option>)}
+                            </select>
+                        </td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+}
+
+/**
+ * Drawing units of a parsed DXF file: from its header, picked by hand, or calibrated on a line of known length
+ */
+function ImportUnits({ settings, declared, referenceLines, onChange }) {
+    return (
+        <div className="import-units">
+            <label>
+                Units
+                <select value={settings.units} onChange={(e) => onChange({ ...settings, units: e.target.value })}>
+                    <option value="auto">Auto ({declared && declared.metres ? declared.name : 'none, assume m'})</option>
+                    {COMMON_UNITS.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                </select>
+            </label>
+            <label>
+                Calibrate
+                <select value={settings.line} onChange={(e) => onChange({ ...settings, line: e.target.value })}>
+                    <option value="">No calibration</option>
+                    {referenceLines.map((line, i) => (
+                        <option key={i} value={i}>{line.layer}: {Number(line.length.toFixed(3))} units</option>
+                    ))}
+                </select>
+            </label>
+            {settings.line !== '' && (
+                <label>
+                    Real length (m)
+                    <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={settings.metres}
+                        onChange={(e) => onChange({ ...settings, metres: e.target.value })}
+                    />
+                </label>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Which rooms connect through which doorway (from Layout3D.getConnectivity)
+ */
+function ConnectivityPanel({ layout }) {
+    const { nodes, edges } = layout.getConnectivity();
+    if (edges.length === 0) return null;
+
+    return (
+        <div>
+            <div className="section-label">Connections</div>
+            <ul className="connection-list">
+                {edges.map((edge, i) => (
+                    <li key={i}>
+                        {nodes[edge.from].name} ↔ {edge.to === null ? 'Outside' : nodes[edge.to].name}
+                        <span className="connection-detail">door {edge.door.width} m</span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+const TRANSFORM_MODES = [
+    { id: 'translate', label: 'Move' },
+    { id: 'rotate', label: 'Rotate' },
+    { id: 'scale', label: 'Scale' }
+];
+const GRID_SNAPS = [0, 0.05, 0.1, 0.25, 0.5, 1];
+const ANGLE_SNAPS = [0, 5, 15, 45, 90];
+
+/**
+ * Number field bound to a live value; partial input (e.g. "-") is ignored until it parses.
+ * Values must be above `min`, or may equal it with `inclusive`.
+ */
+function NumberField({ value, step, min, inclusive = false, disabled = false, onChange }) {
+    return (
+        <input
+            type="number"
+            step={step}
+            disabled={disabled}
+            value={Number(value.toFixed(3))}
+            onChange={(e) => {
+                const parsed = parseFloat(e.target.value);
+                if (Number.isFinite(parsed) && (min === undefined || parsed > min || (inclusive && parsed === min))) onChange(parsed);
+            }}
+        />
+    );
+}
+
+/**
+ * Transform of the selected furniture (room-local position, rotation about Y, scale, size), the viewer's gizmo mode
+ * and snapping, and delete / duplicate. Field edits are reported as onChange('position' | 'rotation' | 'scale', axis, value).
+ */
+function FurnitureInspector({ selection, transformMode, onModeChange, snap, onSnapChange, onChange, onDuplicate, onDelete }) {
+    const { furniture, room } = selection;
+    const { position, rotation, scale } = furniture.root;
+    // Real-world size: the declared dimensions (or normalized model) times scale; edits change the scale
+    const size = furniture.getSize();
+    const axes = ['x', 'y', 'z'];
+
+    return (
+        <div className="save-form inspector">
+            <div className="inspector-title">
+                {furniture.name} <span>in {room.name}</span>
+            </div>
+            <div className="toolbar-group">
+                {TRANSFORM_MODES.map(mode => (
+                    <button
+                        key={mode.id}
+                        className={transformMode === mode.id ? 'active' : ''}
+                        onClick={() => onModeChange(mode.id)}
+                    >
+                        {mode.label}
+                    </button>
+                ))}
+            </div>
+            <div className="inspector-row">
+                <span>Position (m)</span>
+                {axes.map(axis => (
+                    <NumberField
+                        key={axis}
+                        value={position[axis]}
+                        step={snap.grid || 0.1}
+                        onChange={(value) => onChange('position', axis, value)}
+                    />
+                ))}
+            </div>
+            <div className="inspector-row">
+                <span>Rotation (°)</span>
+                <NumberField
+                    value={THREE.MathUtils.radToDeg(rotation.y)}
+                    step={snap.angle || 1}
+                    onChange={(value) => onChange('rotation', 'y', THREE.MathUtils.degToRad(value))}
+                />
+            </div>
+            <div className="inspector-row">
+                <span>Scale</span>
+                {axes.map(axis => (
+                    <NumberField
+                        key={axis}
+                        value={scale[axis]}
+                        step={0.1}
+                        min={0}
+                        onChange={(value) => onChange('scale', axis, value)}
+                    />
+                ))}
+            </div>
+            <div className="inspector-row">
+                <span title={`Pivot: ${furniture.pivot}`}>Size (m)</span>
+                {axes.map(axis => (
+                    <NumberField
+                        key={axis}
+                        value={size[axis]}
+                        step={snap.grid || 0.1}
+                        min={0}
+                        // A model that is flat along this axis cannot be scaled to a size on it
+                        disabled={!(furniture.baseSize[axis] > 0)}
+                        onChange={(value) => onChange('scale', axis, value / furniture.baseSize[axis])}
+                    />
+                ))}
+            </div>
+            <div className="import-units">
+                <label>
+                    Grid snap
+                    <select value={snap.grid} onChange={(e) => onSnapChange({ ...snap, grid: Number(e.target.value) })}>
+                        {GRID_SNAPS.map(grid => <option key={grid} value={grid}>{grid ? `${grid} m` : 'Off'}</option>)}
+                    </select>
+                </label>
+                <label>
+                    Angle snap
+                    <select value={snap.angle} onChange={(e) => onSnapChange({ ...snap, angle: Number(e.target.value) })}>
+                        {ANGLE_SNAPS.map(angle => <option key={angle} value={angle}>{angle ? `${angle}°` : 'Off'}</option>)}
+                    </select>
+                </label>
+            </div>
+            <div className="toolbar-group">
+                <button className="secondary" onClick={onDuplicate}>⧉ Duplicate</button>
+                <button className="secondary" onClick={onDelete}>✕ Delete</button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Width and depth of a rectangular room in the session (rooms with a footprint keep their shape)
+ */
+function RoomSizePanel({ layout, onResize }) {
+    const [choice, setChoice] = useState('');
+    const rooms = layout.levels.flatMap((level, levelIndex) => level.rooms
+        .map((room, roomIndex) => ({
+            room,
+            levelIndex,
+            roomIndex,
+            key: `${levelIndex}/${roomIndex}`,
+            label: layout.levels.length > 1 ? `${level.name}: ${room.name}` : room.name
+        }))
+        .filter(entry => !entry.room.footprint));
+    if (rooms.length === 0) return null;
+    const current = rooms.find(entry => entry.key === choice) || rooms[0];
+    const { room } = current;
+
+    return (
+        <div>
+            <div className="section-label">Room Size</div>
+            <div className="save-form inspector">
+                <div className="import-units">
+                    <label>
+                        Room
+                        <select value={current.key} onChange={(e) => setChoice(e.target.value)}>
+                            {rooms.map(entry => <option key={entry.key} value={entry.key}>{entry.label}</option>)}
+                        </select>
+                    </label>
+                </div>
+                <div className="inspector-row">
+                    <span>Width × depth (m)</span>
+                    <NumberField
+                        value={room.width}
+                        step={0.1}
+                        min={0}
+                        onChange={(width) => onResize(current.levelIndex, current.roomIndex, { width, depth: room.depth })}
+                    />
+                    <NumberField
+                        value={room.depth}
+                        step={0.1}
+                        min={0}
+                        onChange={(depth) => onResize(current.levelIndex, current.roomIndex, { width: room.width, depth })}
+                    />
+                </div>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Furniture placement problems of the session (Layout3D.checkPlacement); clicking one selects the furniture
+ */
+function PlacementPanel({ issues, minClearance, onClearanceChange, highlight, onHighlightChange, onSelect }) {
+    return (
+        <div>
+            <div className="section-label">Placement Check</div>
+            <div className="save-form inspector">
+                <div className="inspector-row">
+                    <span>Walkway (m)</span>
+                    <NumberField value={minClearance} step={0.05} min={0} inclusive onChange={onClearanceChange} />
+                </div>
+                <label className="checkbox-row">
+                    <input type="checkbox" checked={highlight} onChange={(e) => onHighlightChange(e.target.checked)} />
+                    Outline problems in the 3D view
+                </label>
+            </div>
+            {issues.length === 0 ? (
+                <div className="history-empty">No placement problems.</div>
+            ) : (
+                <ul className="connection-list placement-list">
+                    {issues.map((issue, i) => (
+                        <li key={i} onClick={() => onSelect(issue.entityIds[0])}>
+                            {issue.message}
+                            <span className="connection-detail">{issue.type}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Finish palette for a surface of the session: the selected furniture's material slots, or a room's walls or
+ * floor. Picking a swatch reports onApply({ target, slot, before, after, label }) as for a setFinish command.
+ */
+function FinishesPanel({ layout, selection, onApply }) {
+    const [choice, setChoice] = useState('');
+    const surfaces = [];
+    if (selection) {
+        const { furniture } = selection;
+        const target = furnitureTarget(layout, selection);
+        [ALL_MATERIALS, ...furniture.getMaterialSlots()].forEach(slot => surfaces.push({
+            key: `furniture/${slot}`,
+            label: `${furniture.name}: ${slot === ALL_MATERIALS ? 'all materials' : slot}`,
+            kind: 'furniture',
+            target,
+            slot,
+            current: furniture.finishes[slot] ?? null
+        }));
+    }
+    layout.levels.forEach((level, levelIndex) => level.rooms.forEach((room, roomIndex) => {
+        const prefix = layout.levels.length > 1 ? `${level.name}: ` : '';
+        ROOM_SURFACES.forEach(surface => surfaces.push({
+            key: `${levelIndex}/${roomIndex}/${surface}`,
+            label: `${prefix}${room.name} ${surface}`,
+            kind: surface,
+            target: { level: levelIndex, room: roomIndex },
+            slot: surface,
+            current: room.finishes[surface] ?? null
+        }));
+    }));
+    if (surfaces.length === 0) return null;
+    const surface = surfaces.find(entry => entry.key === choice) || surfaces[0];
+    const options = finishesFor(surface.kind);
+    const current = surface.current && findFinish(surface.current);
+
+    const apply = (id) => {
+        if (id === surface.current) return;
+        const { target, slot, current: before, label } = surface;
+        onApply({ target, slot, before, after: id, label: `${label}: ${id ? findFinish(id).name : 'default'}` });
+    };
+
+    return (
+        <div>
+            <div className="section-label">Finishes</div>
+            <div className="save-form inspector">
+                <div className="import-units">
+                    <label>
+                        Surface
+                        <select value={surface.key} onChange={(e) => setChoice(e.target.value)}>
+                            {surfaces.map(entry => <option key={entry.key} value={entry.key}>{entry.label}</option>)}
+                        </select>
+                    </label>
+                </div>
+                {FINISH_CATEGORIES.filter(category => options.some(entry => entry.category === category)).map(category => (
+                    <div key={category} className="finish-swatches">
+                        <span>{category}</span>
+                        {options.filter(entry => entry.category === category).map(entry => (
+                            <button
+                                key={entry.id}
+                                className={entry.id === surface.current ? 'active' : ''}
+                                style={{ background: entry.color }}
+                                title={entry.name}
+                                onClick={() => apply(entry.id)}
+                            />
+                        ))}
+                    </div>
+                ))}
+                <div className="inspector-row">
+                    <span>{current ? current.name : 'Default'}</span>
+                    <button className="secondary" disabled={!surface.current} onClick={() => apply(null)}>Reset</button>
+                </div>
+            </div>
+        </div>
+    );
+}
 
 function App() {
-    const [registry] = useState(new LayoutRegistry());
+    const [registry] = useState(() => new LayoutRegistry());
     const [sessionLayout, setSessionLayout] = useState(null);
+    const [sessionVersion, setSessionVersion] = useState(0); // Bumped after in-place session edits to re-render the sidebar
+    const [, setDragFrame] = useState(0); // Bumped while a gizmo drag moves furniture, so the inspector follows it
+    const [layouts, setLayouts] = useState([]);
+    const [saveName, setSaveName] = useState('');
+    const [historyLayoutId, setHistoryLayoutId] = useState(null); // Base layout whose revisions are listed
+    const [revisions, setRevisions] = useState([]);
     const [currentRoomId, setCurrentRoomId] = useState(null);
     const [status, setStatus] = useState("Select a room to view 3D Layout");
+    const cacheStats = assetCache.getStats();
     const [error, setError] = useState(null);
+    const [importSummary, setImportSummary] = useState(null);
+    const [pendingImport, setPendingImport] = useState(null); // Parsed DXF waiting for its layer roles
+    const [exportMetadata, setExportMetadata] = useState(true);
+    const [dxfLevel, setDxfLevel] = useState(0); // Level written by DXF export (a DXF plan holds one storey)
+    const [viewMode, setViewMode] = useState('3d'); // '3d' viewer or '2d' floor plan
+    const [selectedId, setSelectedId] = useState(null); // Root entityId of the furniture picked in the viewer
+    const [transformMode, setTransformMode] = useState('translate');
+    const [snap, setSnap] = useState({ grid: 0.1, angle: 15 });
+    const [minClearance, setMinClearance] = useState(PLACEMENT_DEFAULTS.minClearance);
+    const [highlightPlacement, setHighlightPlacement] = useState(true);
+
+    // Only the most recent selection may become the session; starting a new one cancels the previous
+    const selectionRef = useRef(null);
+
+    const beginSelection = () => {
+        if (selectionRef.current) selectionRef.current.abort();
+        selectionRef.current = new AbortController();
+        return selectionRef.current.signal;
+    };
+
+    /**
+     * Turn a stored document into a registry prototype: derived documents are returned as they are
+     * (the registry loads their base), anything else becomes a Layout3D master with its models loaded.
+     */
+    const hydratePrototype = async (data, signal) => {
+        if (!data || Object.keys(data).length === 0) {
+            throw new Error("Layout Empty");
+        }
+        if (isDerivedLayout(data)) return data;
+
+        const layout = Layout3D.fromJSON(data);
+
+        if (!signal.aborted) setStatus(`Downloading 3D Models for ${data.name}...`);
+
+        // EF1: Loading Error Handling
+        try {
+            await layout.loadAssets();
+        } catch (assetErr) {
+            console.warn("Some assets failed to load", assetErr);
+            if (!signal.aborted) setStatus("Warning: Some furniture models failed to load.");
+        }
+        return layout;
+    };
+
+    // Loader for registry.getOrLoad (AF1: a 404 surfaces as "Layout not found (404)")
+    const loadPrototype = async (id, signal) => hydratePrototype(await fetchLayout(id, { signal }), signal);
+
+    /**
+     * Clone a session and load the models an overlay may have added (cache hits for shared ones).
+     * Returns null when the selection was superseded meanwhile.
+     */
+    const createSession = async (id, signal) => {
+        const session = registry.getSessionClone(id);
+        await session.loadAssets();
+        if (signal && signal.aborted) {
+            session.dispose();
+            return null;
+        }
+        return session;
+    };
 
     // Function to handle Room Selection
     const handleRoomSelect = async (roomId, roomName) => {
         if (currentRoomId === roomId && sessionLayout) return; // Already loaded
+        const signal = beginSelection();
 
         try {
             setSessionLayout(null);
@@ -20,49 +509,25 @@ function App() {
             setError(null);
             setStatus(`Loading ${roomName}...`);
 
-            // 1. Fetch Master Layout
-            const response = await fetch(`http://localhost:5000/api/layout/${roomId}`);
+            // 1. Reuse the cached prototype or fetch it (and its base) once, however often the room is clicked
+            await registry.getOrLoad(roomId, loadPrototype, { signal });
 
-            // AF1: 404 Handling
-            if (response.status === 404) {
-                throw new Error("Layout not found (404)");
-            }
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const data = await response.json();
-
-            if (!data || Object.keys(data).length === 0) {
-                throw new Error("Layout Empty");
-            }
-
-            // 2. Hydrate Master
-            const master = Layout3D.fromJSON(data);
-
-            setStatus(`Downloading 3D Models for ${roomName}...`);
-
-            // EF1: Loading Error Handling
-            try {
-                await master.loadAssets();
-            } catch (assetErr) {
-                console.warn("Some assets failed to load", assetErr);
-                setStatus("Warning: Some furniture models failed to load.");
-            }
-
-            // 3. Register & Clone
-            registry.registerMaster(roomId, master);
-            const session = registry.getSessionClone(roomId);
+            // 2. Clone
+            const session = await createSession(roomId, signal);
+            if (!session) return;
 
             setSessionLayout(session);
             setStatus(`Showing 3D Layout for: ${roomName}`);
+            refreshRevisions(roomId);
 
         } catch (err) {
+            if (err.name === 'AbortError') return; // Superseded by a newer selection
             console.error("Room load error:", err);
             setError(err.message);
             // AF1 & EF1 UI Feedback
-            if (err.message.includes("404") || err.message.includes("Empty")) {
+            if (err instanceof LayoutValidationError) {
+                setStatus(`Status: Layout data for ${roomName} is invalid.`);
+            } else if (err.message.includes("404") || err.message.includes("Empty")) {
                 setStatus(`Status: No 3D layout available for ${roomName}.`);
             } else {
                 setStatus("Error: Backend Server is Offline. Please run 'start-app.bat' or start the server manually.");
@@ -70,11 +535,11 @@ function App() {
         }
     };
 
-    const handleCreateSession = () => {
+    const handleCreateSession = async () => {
         // Re-clone existing master if currentRoomId is set
         if (currentRoomId) {
             try {
-                const session = registry.getSessionClone(currentRoomId);
+                const session = await createSession(currentRoomId);
                 setSessionLayout(session);
                 setStatus("Session Reset (New Clone Created).");
             } catch (e) {
@@ -83,6 +548,20 @@ function App() {
         }
     };
 
+    // Undo / redo of this session's edits; a new session starts an empty history. Kept in a ref rather than a
+    // memo, which React may drop (and the undo stack with it).
+    const historyRef = useRef(null);
+    if (sessionLayout && (!historyRef.current || historyRef.current.layout !== sessionLayout)) {
+        historyRef.current = new SessionHistory(sessionLayout);
+    }
+    const editHistory = sessionLayout ? historyRef.current : null;
+    const dragStartRef = useRef(null); // Transform of the selected furniture when a gizmo drag started
+
+    const runCommand = (command, options) => {
+        editHistory.execute(command, options);
+        setSessionVersion(v => v + 1);
+    };
+
     const handleModifySession = () => {
         if (!sessionLayout) return;
         if (sessionLayout.rooms.length > 0) {
@@ -91,15 +570,347 @@ function App() {
                 const furniture = room.furnitureList[0];
                 const newX = (Math.random() * 5) - 2.5;
                 const newZ = (Math.random() * 5) - 2.5;
-                furniture.setPosition(newX, 0, newZ);
-                setSessionLayout({ ...sessionLayout, _version: Date.now() });
+                const before = readTransform(furniture);
+                runCommand({
+                    type: 'transform',
+                    label: `Move ${furniture.name}`,
+                    target: furnitureTarget(sessionLayout, sessionLayout.findFurniture(furniture.root.userData.entityId)),
+                    before,
+                    after: { ...before, position: { x: newX, y: 0, z: newZ } }
+                });
                 setStatus(`Moved ${furniture.name} to (${newX.toFixed(1)}, 0, ${newZ.toFixed(1)})`);
             }
         }
     };
 
+    // App owns the session clones: a session is disposed (releasing its asset references) once another replaces
+    // it, never when a view of it unmounts
+    const sessionRef = useRef(null);
+    useEffect(() => {
+        const previous = sessionRef.current;
+        sessionRef.current = sessionLayout;
+        if (previous && previous !== sessionLayout) previous.dispose();
+    }, [sessionLayout]);
+
+    // Selection and the DXF export level belong to one session clone
+    useEffect(() => {
+        setSelectedId(null);
+        setDxfLevel(0);
+    }, [sessionLayout]);
+
+    const selection = sessionLayout && selectedId ? sessionLayout.findFurniture(selectedId) : null;
+
+    // Re-checked after every session edit, a gizmo drag once it ends: the check compares every pair of pieces,
+    // too much for each frame of a drag
+    const [placementIssues, setPlacementIssues] = useState([]);
+    useEffect(() => {
+        setPlacementIssues(sessionLayout ? sessionLayout.checkPlacement({ minClearance }) : []);
+    }, [sessionLayout, sessionVersion, minClearance]);
+    const problemKey = highlightPlacement ? [...new Set(placementIssues.flatMap(issue => issue.entityIds))].join(',') : '';
+    const problemIds = useMemo(() => (problemKey ? problemKey.split(',') : []), [problemKey]);
+
+    const handleTransformStart = () => {
+        dragStartRef.current = selection ? readTransform(selection.furniture) : null;
+    };
+
+    const handleTransform = () => {
+        setDragFrame(v => v + 1);
+    };
+
+    // A whole gizmo drag is one step
+    const handleTransformEnd = () => {
+        const before = dragStartRef.current;
+        dragStartRef.current = null;
+        if (!before || !selection) return;
+        const after = readTransform(selection.furniture);
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        const verb = TRANSFORM_MODES.find(mode => mode.id === transformMode).label;
+        editHistory.record({
+            type: 'transform',
+            label: `${verb} ${selection.furniture.name}`,
+            target: furnitureTarget(sessionLayout, selection),
+            before,
+            after
+        });
+        setSessionVersion(v => v + 1);
+    };
+
+    // Typing into one field is one step
+    const handleFurnitureField = (key, axis, value) => {
+        if (!selection) return;
+        const before = readTransform(selection.furniture);
+        runCommand({
+            type: 'transform',
+            label: `Edit ${selection.furniture.name} ${key}`,
+            target: furnitureTarget(sessionLayout, selection),
+            before,
+            after: { ...before, [key]: { ...before[key], [axis]: value } }
+        }, { merge: `${selectedId}/${key}.${axis}` });
+    };
+
+    const handleDuplicateFurniture = () => {
+        if (!selection) return;
+        const { furniture, room } = selection;
+        const json = furniture.toJSON();
+        // Half a metre to the side, so the copy does not hide inside the original
+        json.position.x += 0.5;
+        const target = { ...furnitureTarget(sessionLayout, selection), furniture: room.furnitureList.length };
+        runCommand({ type: 'addFurniture', label: `Duplicate ${furniture.name}`, target, furniture: json });
+        setSelectedId(room.furnitureList[target.furniture].root.userData.entityId);
+        setStatus(`Duplicated ${furniture.name} in ${room.name}.`);
+    };
+
+    const handleDeleteFurniture = () => {
+        if (!selection) return;
+        const { furniture, room } = selection;
+        runCommand({
+            type: 'removeFurniture',
+            label: `Delete ${furniture.name}`,
+            target: furnitureTarget(sessionLayout, selection),
+            furniture: furniture.toJSON()
+        });
+        setSelectedId(null);
+        setStatus(`Removed ${furniture.name} from ${room.name}.`);
+    };
+
+    // Typing into one size field is one step
+    const handleResizeRoom = (levelIndex, roomIndex, size) => {
+        const room = sessionLayout.levels[levelIndex].rooms[roomIndex];
+        runCommand({
+            type: 'resizeRoom',
+            label: `Resize ${room.name}`,
+            target: { level: levelIndex, room: roomIndex },
+            before: { width: room.width, depth: room.depth },
+            after: size
+        }, { merge: `resize/${levelIndex}/${roomIndex}` });
+    };
+
+    const handleFinish = ({ label, ...command }) => {
+        runCommand({ type: 'setFinish', label, ...command });
+        setStatus(label);
+    };
+
+    const handleUndo = () => {
+        if (!editHistory || !editHistory.canUndo) return;
+        const command = editHistory.undo();
+        setSessionVersion(v => v + 1);
+        setStatus(`Undid: ${command.label || command.type}`);
+    };
+
+    const handleRedo = () => {
+        if (!editHistory || !editHistory.canRedo) return;
+        const command = editHistory.redo();
+        setSessionVersion(v => v + 1);
+        setStatus(`Redid: ${command.label || command.type}`);
+    };
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo
+    const undoKeysRef = useRef(null);
+    undoKeysRef.current = { handleUndo, handleRedo };
+    useEffect(() => {
+        const onKeyDown = (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+            event.preventDefault();
+            if (event.shiftKey) {
+                undoKeysRef.current.handleRedo();
+            } else {
+                undoKeysRef.current.handleUndo();
+            }
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, []);
+
+    const refreshLayouts = async () => {
+        try {
+            const { items } = await listLayouts();
+            setLayouts(items);
+        } catch (err) {
+            console.error("Failed to list layouts:", err);
+        }
+    };
+
+    const refreshRevisions = async (layoutId) => {
+        setHistoryLayoutId(layoutId);
+        try {
+            const { items } = await listRevisions(layoutId);
+            setRevisions(items.slice().reverse()); // Newest first
+        } catch (err) {
+            console.error("Failed to list revisions:", err);
+            setRevisions([]);
+        }
+    };
+
+    // Load a past revision as its own master (e.g. "living-room@r2") so it never replaces the current one
+    const handleRevisionLoad = async (revision) => {
+        const masterId = `${historyLayoutId}@r${revision}`;
+        const signal = beginSelection();
+        try {
+            setSessionLayout(null);
+            setCurrentRoomId(masterId);
+            setError(null);
+            setStatus(`Loading revision ${revision}...`);
+
+            // Bases of a derived revision are the current layouts
+            await registry.getOrLoad(masterId, async (id, loadSignal) => {
+                if (id !== masterId) return loadPrototype(id, loadSignal);
+                const entry = await fetchRevision(historyLayoutId, revision);
+                return hydratePrototype({ ...entry.layout, id: masterId }, loadSignal);
+            }, { signal });
+
+            const session = await createSession(masterId, signal);
+            if (!session) return;
+
+            setSessionLayout(session);
+            const summary = revisions.find(item => item.revision === revision);
+            setStatus(`Showing revision ${revision} of ${session.description}${summary ? ` (by ${summary.author})` : ''}`);
+        } catch (err) {
+            if (err.name === 'AbortError') return; // Superseded by a newer selection
+            console.error("Revision load error:", err);
+            setError(err.message);
+            setStatus(`Status: Could not load revision ${revision}.`);
+        }
+    };
+
+    // Parse a DXF file and offer its layers for role mapping before reconstructing it
+    const handleDxfFile = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow re-importing the same file
+        if (!file) return;
+
+        try {
+            setError(null);
+            setStatus(`Reading ${file.name}...`);
+            const dxfModel = new DXFParser().parse(await file.text());
+            const layerRoles = {};
+            listLayers(dxfModel).forEach(layer => {
+                layerRoles[layer] = resolveLayerRole(layer);
+            });
+            setPendingImport({
+                fileName: file.name,
+                dxfModel,
+                layerRoles,
+                declaredUnits: headerUnits(dxfModel),
+                referenceLines: new ReconstructionEngine({ layerRoles }).referenceLines(dxfModel),
+                unitSettings: { units: 'auto', line: '', metres: '' }
+            });
+            setImportSummary(null);
+            setStatus(`Check the layer roles of ${file.name}, then reconstruct it.`);
+        } catch (err) {
+            console.error("DXF parse error:", err);
+            setError(err.message);
+            setStatus(`Status: Could not read ${file.name}.`);
+        }
+    };
+
+    // Reconstruct the parsed DXF plan into a Layout3D master; it becomes a session like any stored layout
+    const handleDxfImport = async () => {
+        const { fileName, dxfModel, layerRoles, referenceLines, unitSettings } = pendingImport;
+        const signal = beginSelection();
+
+        try {
+            setSessionLayout(null);
+            setError(null);
+            setStatus(`Importing ${fileName}...`);
+
+            const baseName = fileName.replace(/\.dxf$/i, '');
+            const masterId = `dxf-${baseName.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+            const engine = new ReconstructionEngine({
+                layerRoles,
+                units: unitSettings.units === 'auto' ? null : unitSettings.units,
+                calibration: unitSettings.line === ''
+                    ? null
+                    : { drawingLength: referenceLines[unitSettings.line].length, metres: Number(unitSettings.metres) }
+            });
+            const { layout, summary } = engine.reconstruct(dxfModel, { id: masterId, name: baseName, fileName });
+            if (signal.aborted) {
+                layout.dispose();
+                return;
+            }
+
+            registry.registerMaster(masterId, layout);
+            setCurrentRoomId(masterId);
+            setSessionLayout(await createSession(masterId));
+            setPendingImport(null);
+            setImportSummary({ ...summary, fileName });
+            setStatus(`Imported ${fileName}: ${summary.rooms} rooms, ${summary.walls} walls`);
+        } catch (err) {
+            console.error("DXF import error:", err);
+            setError(err.message);
+            setStatus(`Status: Could not import ${fileName}.`);
+        }
+    };
+
+    // Serialize the (possibly edited) session clone and store it as a brand new layout
+    const handleSaveSession = async () => {
+        if (!sessionLayout) return;
+        const name = saveName.trim();
+        if (!name) {
+            setStatus("Enter a name to save the session as a layout.");
+            return;
+        }
+
+        try {
+            // Drop the source id so the server derives a new one from the name
+            const { id, ...json } = sessionLayout.toJSON();
+            const saved = await createLayout({ ...json, name });
+            setSaveName('');
+            setError(null);
+            setStatus(`Saved session as layout: ${saved.name} (${saved.id})`);
+            await refreshLayouts();
+        } catch (err) {
+            console.error("Save session error:", err);
+            setError(err.message);
+            if (err.status === 409) {
+                setStatus(`Status: A layout named "${name}" already exists.`);
+            } else if (err.status === 400) {
+                setStatus(`Status: Layout rejected - ${err.details.join('; ')}`);
+            } else {
+                setStatus("Error: Could not save the session. Is the backend server running?");
+            }
+        }
+    };
+
+    // Write the session (with its edits) as a DXF floor plan and hand it to the browser as a download
+    const handleExportDxf = () => {
+        if (!sessionLayout) return;
+        try {
+            const level = Math.min(dxfLevel, sessionLayout.levels.length - 1);
+            // One file per storey: multi-level layouts name the level in the file name
+            const suffix = sessionLayout.levels.length > 1 ? `-level-${level + 1}` : '';
+            const fileName = `${sessionLayout.id}${suffix}.dxf`;
+            downloadFile(new DXFExporter({ level }).export(sessionLayout), fileName, 'application/dxf');
+            setStatus(`Exported ${sessionLayout.description} to ${fileName}`);
+        } catch (err) {
+            console.error("DXF export error:", err);
+            setError(err.message);
+            setStatus("Status: Could not export the session to DXF.");
+        }
+    };
+
+    // Export the session's 3D scene (walls, slabs, furniture models) as binary glTF or OBJ
+    const handleExportScene = async (format) => {
+        if (!sessionLayout) return;
+        try {
+            const exporter = new SceneExporter({ includeMetadata: exportMetadata });
+            const fileName = `${sessionLayout.id}.${format}`;
+            if (format === 'glb') {
+                downloadFile(await exporter.exportGLB(sessionLayout), fileName, 'model/gltf-binary');
+            } else {
+                downloadFile(exporter.exportOBJ(sessionLayout), fileName, 'model/obj');
+            }
+            setStatus(`Exported ${sessionLayout.description} to ${fileName}`);
+        } catch (err) {
+            console.error("Scene export error:", err);
+            setError(err.message);
+            setStatus(`Status: Could not export the session to ${format.toUpperCase()}.`);
+        }
+    };
+
     // Auto-load Living Room on Mount
     useEffect(() => {
+        refreshLayouts();
         handleRoomSelect('living-room', 'Living Room');
     }, []); // Run once on mount
 
@@ -112,26 +923,56 @@ function App() {
                     <div>
                         <div className="section-label">Select Room</div>
                         <div className="button-group">
-                            <button
-                                className={currentRoomId === 'living-room' ? 'active' : ''}
-                                onClick={() => handleRoomSelect('living-room', 'Simple Room')}
-                            >
-                                <span>Simple Room</span>
-                                {currentRoomId === 'living-room' && <span>●</span>}
-                            </button>
-                            <button
-                                className={currentRoomId === 'deluxe-room' ? 'active' : ''}
-                                onClick={() => handleRoomSelect('deluxe-room', 'Deluxe Room')}
-                            >
-                                <span>Deluxe Room</span>
-                                {currentRoomId === 'deluxe-room' && <span>●</span>}
-                            </button>
+                            {layouts.map(layout => (
+                                <button
+                                    key={layout.id}
+                                    className={currentRoomId === layout.id ? 'active' : ''}
+                                    onClick={() => handleRoomSelect(layout.id, layout.name)}
+                                >
+                                    <span>{layout.name}</span>
+                                    {currentRoomId === layout.id && <span>●</span>}
+                                </button>
+                            ))}
                         </div>
                     </div>
 
+                    <div style={{ marginTop: '20px' }}>
+                        <div className="section-label">Import</div>
+                        <label className="file-button">
+                            📐 Import DXF Plan
+                            <input type="file" accept=".dxf" onChange={handleDxfFile} />
+                        </label>
+                        {pendingImport && (
+                            <div className="save-form">
+                                <LayerRoleTable
+                                    layerRoles={pendingImport.layerRoles}
+                                    onChange={(layerRoles) => setPendingImport({ ...pendingImport, layerRoles })}
+                                />
+                                <ImportUnits
+                                    settings={pendingImport.unitSettings}
+                                    declared={pendingImport.declaredUnits}
+                                    referenceLines={pendingImport.referenceLines}
+                                    onChange={(unitSettings) => setPendingImport({ ...pendingImport, unitSettings })}
+                                />
+                                <button className="secondary" onClick={handleDxfImport}>
+                                    ⚙ Reconstruct {pendingImport.fileName}
+                                </button>
+                            </div>
+                        )}
+                        {importSummary && <ImportSummary summary={importSummary} />}
+                    </div>
+
                     {sessionLayout && (
                         <div style={{ marginTop: '20px' }}>
                             <div className="section-label">Actions</div>
+                            <div className="toolbar-group history-buttons">
+                                <button className="secondary" onClick={handleUndo} disabled={!editHistory.canUndo} title="Ctrl+Z">
+                                    ↶ Undo
+                                </button>
+                                <button className="secondary" onClick={handleRedo} disabled={!editHistory.canRedo} title="Ctrl+Shift+Z">
+                                    ↷ Redo
+                                </button>
+                            </div>
                             <div className="button-group">
                                 <button className="secondary" onClick={handleCreateSession}>
                                     ⟳ Reset Session
@@ -139,9 +980,115 @@ function App() {
                                 <button className="secondary" onClick={handleModifySession}>
                                     ✥ Move Furniture
                                 </button>
+                                {sessionLayout.levels.length > 1 && (
+                                    <div className="import-units">
+                                        <label>
+                                            DXF level
+                                            <select value={dxfLevel} onChange={(e) => setDxfLevel(Number(e.target.value))}>
+                                                {sessionLayout.levels.map((level, index) => (
+                                                    <option key={index} value={index}>{level.name}</option>
+                                                ))}
+                                            </select>
+                                        </label>
+                                    </div>
+                                )}
+                                <button className="secondary" onClick={handleExportDxf}>
+                                    📐 Export DXF Plan
+                                </button>
+                                <button className="secondary" onClick={() => handleExportScene('glb')}>
+                                    ⬇ Export GLB
+                                </button>
+                                <button className="secondary" onClick={() => handleExportScene('obj')}>
+                                    ⬇ Export OBJ
+                                </button>
+                                <label className="checkbox-row">
+                                    <input
+                                        type="checkbox"
+                                        checked={exportMetadata}
+                                        onChange={(e) => setExportMetadata(e.target.checked)}
+                                    />
+                                    Embed layout metadata in GLB
+                                </label>
+                            </div>
+                            <div className="save-form">
+                                <input
+                                    type="text"
+                                    placeholder="New layout name"
+                                    value={saveName}
+                                    onChange={(e) => setSaveName(e.target.value)}
+                                />
+                                <button className="secondary" onClick={handleSaveSession}>
+                                    💾 Save Session as Layout
+                                </button>
                             </div>
                         </div>
                     )}
+
+                    {sessionLayout && (
+                        <div>
+                            <div className="section-label">Selected Furniture</div>
+                            {selection ? (
+                                <FurnitureInspector
+                                    selection={selection}
+                                    transformMode={transformMode}
+                                    onModeChange={setTransformMode}
+                                    snap={snap}
+                                    onSnapChange={setSnap}
+                                    onChange={handleFurnitureField}
+                                    onDuplicate={handleDuplicateFurniture}
+                                    onDelete={handleDeleteFurniture}
+                                />
+                            ) : (
+                                <div className="history-empty">Click furniture in the 3D view to select it.</div>
+                            )}
+                        </div>
+                    )}
+
+                    {sessionLayout && <RoomSizePanel layout={sessionLayout} onResize={handleResizeRoom} />}
+
+                    {sessionLayout && (
+                        // Remounted per selection, so a newly selected piece of furniture becomes the surface
+                        <FinishesPanel key={selectedId || ''} layout={sessionLayout} selection={selection} onApply={handleFinish} />
+                    )}
+
+                    {sessionLayout && (
+                        <PlacementPanel
+                            issues={placementIssues}
+                            minClearance={minClearance}
+                            onClearanceChange={setMinClearance}
+                            highlight={highlightPlacement}
+                            onHighlightChange={setHighlightPlacement}
+                            onSelect={setSelectedId}
+                        />
+                    )}
+
+                    {sessionLayout && <ConnectivityPanel layout={sessionLayout} />}
+
+                    {historyLayoutId && (
+                        <div>
+                            <div className="section-label">History</div>
+                            {revisions.length === 0 ? (
+                                <div className="history-empty">No saved revisions yet.</div>
+                            ) : (
+                                <div className="button-group history-list">
+                                    {revisions.map(entry => {
+                                        const masterId = `${historyLayoutId}@r${entry.revision}`;
+                                        return (
+                                            <button
+                                                key={entry.revision}
+                                                className={`secondary ${currentRoomId === masterId ? 'active' : ''}`}
+                                                onClick={() => handleRevisionLoad(entry.revision)}
+                                                title={entry.message}
+                                            >
+                                                <span>r{entry.revision} · {entry.author}</span>
+                                                <span>{new Date(entry.timestamp).toLocaleDateString()}</span>
+                                            </button>
+                                        );
+                                    })}
+                                </div>
+                            )}
+                        </div>
+                    )}
                 </div>
 
                 <div className="status-bar">
@@ -154,12 +1101,42 @@ function App() {
                             Type: {sessionLayout.group.userData.isMaster ? 'MASTER' : 'SESSION'}
                         </div>
                     )}
+                    <div style={{ fontSize: '0.7em', opacity: 0.5 }}>
+                        Assets: {cacheStats.loaded} loaded, {formatBytes(cacheStats.bytes)}, {cacheStats.references} refs
+                    </div>
                 </div>
             </div>
 
             <div className="viewer-container">
                 {sessionLayout ? (
-                    <ThreeDViewer layoutData={sessionLayout} />
+                    <>
+                        {viewMode === '2d' ? (
+                            <FloorPlanView layoutData={sessionLayout} />
+                        ) : (
+                            <ThreeDViewer
+                                layoutData={sessionLayout}
+                                selectedId={selectedId}
+                                onSelect={setSelectedId}
+                                transformMode={transformMode}
+                                snap={snap}
+                                onTransform={handleTransform}
+                                onTransformStart={handleTransformStart}
+                                onTransformEnd={handleTransformEnd}
+                                highlightedIds={problemIds}
+                            />
+                        )}
+                        <div className="view-toggle toolbar-group">
+                            {[['3d', '3D'], ['2d', '2D Plan']].map(([mode, label]) => (
+                                <button
+                                    key={mode}
+                                    className={viewMode === mode ? 'active' : ''}
+                                    onClick={() => setViewMode(mode)}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                    </>
                 ) : (
                     <div style={{
                         height: '100vh',
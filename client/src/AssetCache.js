@@ -0,0 +1,151 @@
+/**
+ * Shared, reference-counted cache for GLB/GLTF assets keyed by model URL.
+ *
+ * - Concurrent requests for the same URL share one download/parse.
+ * - Every user gets its own scene graph (SkeletonUtils.clone) that shares the parsed geometry,
+ *   materials and textures of the cached template.
+ * - GPU resources are disposed only when the last reference is released.
+ */
+
+import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils';
+
+class AssetCache {
+    constructor() {
+        // url -> { promise, template, refCount, bytes, status }
+        this.entries = new Map();
+    }
+
+    /**
+     * Get an instance of the asset at `url`, loading it with `loader` if nobody has yet.
+     * Each successful call holds one reference and must be paired with release(url).
+     */
+    async acquire(url, loader) {
+        let entry = this.entries.get(url);
+        if (!entry) {
+            entry = { promise: null, template: null, refCount: 0, bytes: 0, status: 'loading' };
+            entry.promise = loader.loadAsync(url).then(
+                (gltf) => {
+                    entry.template = gltf.scene;
+                    entry.bytes = estimateBytes(gltf.scene);
+                    entry.status = 'loaded';
+                    return gltf.scene;
+                },
+                (err) => {
+                    // Forget failed loads so a later attempt can retry
+                    if (this.entries.get(url) === entry) this.entries.delete(url);
+                    throw err;
+                }
+            );
+            this.entries.set(url, entry);
+        }
+
+        await entry.promise;
+
+        // The last holder may have released (and disposed) the asset while we were waiting
+        if (this.entries.get(url) !== entry) {
+            return this.acquire(url, loader);
+        }
+        entry.refCount++;
+        return SkeletonUtils.clone(entry.template);
+    }
+
+    /**
+     * Take an extra reference on an already loaded asset (used when cloning a loaded model).
+     */
+    retain(url) {
+        const entry = this.entries.get(url);
+        if (!entry || entry.status !== 'loaded') {
+            throw new Error(`Asset ${url} is not loaded.`);
+        }
+        entry.refCount++;
+    }
+
+    release(url) {
+        const entry = this.entries.get(url);
+        if (!entry || entry.refCount === 0) {
+            console.warn(`[AssetCache] Release of unreferenced asset: ${url}`);
+            return;
+        }
+        entry.refCount--;
+        if (entry.refCount === 0) {
+            this.entries.delete(url);
+            disposeObject(entry.template);
+            console.log(`[AssetCache] Disposed asset: ${url}`);
+        }
+    }
+
+    /**
+     * Bytes held by the loaded asset at `url` (0 while loading or unknown)
+     */
+    getBytes(url) {
+        const entry = this.entries.get(url);
+        return entry ? entry.bytes : 0;
+    }
+
+    getStats() {
+        const assets = [...this.entries.entries()].map(([url, entry]) => ({
+            url,
+            status: entry.status,
+            refCount: entry.refCount,
+            bytes: entry.bytes
+        }));
+        return {
+            loaded: assets.filter(asset => asset.status === 'loaded').length,
+            bytes: assets.reduce((sum, asset) => sum + asset.bytes, 0),
+            references: assets.reduce((sum, asset) => sum + asset.refCount, 0),
+            assets
+        };
+    }
+}
+
+function collectResources(object) {
+    const geometries = new Set();
+    const materials = new Set();
+    const textures = new Set();
+
+    object.traverse((node) => {
+        if (!node.isMesh) return;
+        if (node.geometry) geometries.add(node.geometry);
+        const nodeMaterials = Array.isArray(node.material) ? node.material : [node.material];
+        nodeMaterials.forEach(material => {
+            if (!material) return;
+            materials.add(material);
+            Object.values(material).forEach(value => {
+                if (value && value.isTexture) textures.add(value);
+            });
+        });
+    });
+
+    return { geometries, materials, textures };
+}
+
+/**
+ * Rough GPU footprint: vertex/index buffers plus 4 bytes per texel.
+ */
+function estimateBytes(object) {
+    const { geometries, textures } = collectResources(object);
+    let bytes = 0;
+    geometries.forEach(geometry => {
+        Object.values(geometry.attributes).forEach(attribute => {
+            bytes += attribute.array.byteLength;
+        });
+        if (geometry.index) bytes += geometry.index.array.byteLength;
+    });
+    textures.forEach(texture => {
+        const image = texture.image;
+        if (image && image.width && image.height) bytes += image.width * image.height * 4;
+    });
+    return bytes;
+}
+
+function disposeObject(object) {
+    const { geometries, materials, textures } = collectResources(object);
+    geometries.forEach(geometry => geometry.dispose());
+    materials.forEach(material => material.dispose());
+    textures.forEach(texture => texture.dispose());
+}
+
+// Application-wide cache shared by all furniture of all layouts
+const assetCache = new AssetCache();
+
+export { AssetCache, assetCache };
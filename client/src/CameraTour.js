@@ -0,0 +1,134 @@
+/**
+ * Smooth camera moves for ThreeDViewer: flying to a bookmark and playing a layout's guided tours.
+ *
+ * The animator drives an orbit camera through its position and the OrbitControls target, so orbiting stays
+ * available (and interrupts playback) at any time. Call update(delta) every frame before controls.update().
+ */
+
+import * as THREE from 'three';
+
+// Seconds for a single jump to a bookmark
+const FLY_DURATION = 1.5;
+
+const easeInOut = (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+export class CameraAnimator {
+    /**
+     * @param {THREE.Camera} camera
+     * @param {OrbitControls} controls
+     * @param {object} [callbacks]
+     * @param {function} [callbacks.onStop] Called with (index, stop) when a tour reaches a stop
+     * @param {function} [callbacks.onEnd] Called when a tour finishes or is stopped
+     */
+    constructor(camera, controls, callbacks = {}) {
+        this.camera = camera;
+        this.controls = controls;
+        this.callbacks = callbacks;
+        this.flight = null; // { from, to, duration, elapsed }
+        this.tour = null; // { stops: [{ stop, view }], index, phase: 'transition' | 'dwell', elapsed }
+        this.paused = false;
+    }
+
+    get playing() {
+        return Boolean(this.tour) && !this.paused;
+    }
+
+    /**
+     * True while update() has work to do (a flight, or a tour that is not paused)
+     */
+    get active() {
+        return !this.paused && (Boolean(this.flight) || Boolean(this.tour));
+    }
+
+    /**
+     * Fly to a viewpoint ({ position, target }) over `duration` seconds
+     */
+    flyTo(view, duration = FLY_DURATION) {
+        this.stop();
+        this.startFlight(view, duration);
+    }
+
+    startFlight(view, duration) {
+        this.flight = {
+            from: { position: this.camera.position.clone(), target: this.controls.target.clone() },
+            to: {
+                position: new THREE.Vector3(view.position.x, view.position.y, view.position.z),
+                target: new THREE.Vector3(view.target.x, view.target.y, view.target.z)
+            },
+            duration,
+            elapsed: 0
+        };
+    }
+
+    /**
+     * Play a tour of `layout` (stops whose bookmark is missing are skipped)
+     */
+    play(layout, tour) {
+        this.stop();
+        const stops = tour.stops
+            .map(stop => ({ stop, view: layout.getBookmark(stop.bookmark) }))
+            .filter(entry => entry.view);
+        if (stops.length === 0) return;
+        this.tour = { stops, index: -1, phase: 'dwell', elapsed: Infinity };
+        this.paused = false;
+        this.advance();
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    stop() {
+        const wasPlaying = Boolean(this.tour);
+        this.flight = null;
+        this.tour = null;
+        this.paused = false;
+        if (wasPlaying && this.callbacks.onEnd) this.callbacks.onEnd();
+    }
+
+    advance() {
+        const tour = this.tour;
+        tour.index++;
+        if (tour.index >= tour.stops.length) {
+            this.stop();
+            return;
+        }
+        const { stop, view } = tour.stops[tour.index];
+        tour.phase = 'transition';
+        tour.elapsed = 0;
+        this.startFlight(view, stop.transition);
+        if (this.callbacks.onStop) this.callbacks.onStop(tour.index, stop);
+    }
+
+    /**
+     * @returns {boolean} Whether the camera was moved this frame
+     */
+    update(delta) {
+        if (this.paused) return false;
+        let moved = false;
+        if (this.flight) {
+            const flight = this.flight;
+            flight.elapsed += delta;
+            const t = flight.duration > 0 ? Math.min(1, flight.elapsed / flight.duration) : 1;
+            const eased = easeInOut(t);
+            this.camera.position.lerpVectors(flight.from.position, flight.to.position, eased);
+            this.controls.target.lerpVectors(flight.from.target, flight.to.target, eased);
+            moved = true;
+            if (t >= 1) {
+                this.flight = null;
+                if (this.tour) {
+                    this.tour.phase = 'dwell';
+                    this.tour.elapsed = 0;
+                }
+            }
+        } else if (this.tour && this.tour.phase === 'dwell') {
+            this.tour.elapsed += delta;
+            if (this.tour.elapsed >= this.tour.stops[this.tour.index].stop.dwell) this.advance();
+        }
+        return moved;
+    }
+}
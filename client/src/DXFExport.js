@@ -0,0 +1,284 @@
+import { footprintEdges, labelPoint } from './shared/roomGeometry.js';
+import { planFootprint, toLevelSpace } from './shared/adjacency.js';
+import { metresPerUnit, unitCode } from './DXFUnits';
+
+/**
+ * Layers written by the exporter. Their names match the importer's default layer rules (see DEFAULT_LAYER_RULES),
+ * so an exported plan reconstructs without configuring layer roles.
+ */
+export const EXPORT_LAYERS = [
+    { name: 'WALLS', color: 7 },
+    { name: 'DOORS', color: 3 },
+    { name: 'WINDOWS', color: 5 },
+    { name: 'FURNITURE', color: 8 },
+    { name: 'ANNOTATION', color: 2 }
+];
+
+/**
+ * Group code / value pairs of a DXF file
+ */
+class DxfWriter {
+    constructor() {
+        this.lines = [];
+    }
+
+    pair(code, value) {
+        const text = typeof value === 'number' ? formatNumber(value) : String(value);
+        this.lines.push(String(code), text);
+    }
+
+    point(x, y, base = 10) {
+        this.pair(base, x);
+        this.pair(base + 10, y);
+        this.pair(base + 20, 0);
+    }
+
+    line(layer, start, end) {
+        this.pair(0, 'LINE');
+        this.pair(8, layer);
+        this.point(start.x, start.y);
+        this.point(end.x, end.y, 11);
+    }
+
+    /**
+     * Closed outline as an R12 POLYLINE / VERTEX / SEQEND run
+     */
+    polygon(layer, points) {
+        this.pair(0, 'POLYLINE');
+        this.pair(8, layer);
+        this.pair(66, 1);
+        this.point(0, 0);
+        this.pair(70, 1);
+        points.forEach(p => {
+            this.pair(0, 'VERTEX');
+            this.pair(8, layer);
+            this.point(p.x, p.y);
+        });
+        this.pair(0, 'SEQEND');
+        this.pair(8, layer);
+    }
+
+    text(layer, point, height, value) {
+        this.pair(0, 'TEXT');
+        this.pair(8, layer);
+        this.point(point.x, point.y);
+        this.pair(40, height);
+        this.pair(1, value.replace(/[\r\n]+/g, ' '));
+        // Centred on the point
+        this.pair(72, 1);
+        this.pair(73, 2);
+        this.point(point.x, point.y, 11);
+    }
+
+    insert(layer, block, position, rotation) {
+        this.pair(0, 'INSERT');
+        this.pair(8, layer);
+        this.pair(2, block);
+        this.point(position.x, position.y);
+        this.pair(41, 1);
+        this.pair(42, 1);
+        this.pair(50, rotation);
+    }
+
+    toString() {
+        return `${this.lines.join('\n')}\n`;
+    }
+}
+
+const formatNumber = (value) => String(Number(value.toFixed(6)));
+
+/**
+ * Writes a Layout3D (master or edited session clone) as a 2D DXF floor plan (AutoCAD R12 entities):
+ * - room outlines as closed polylines and free-standing walls as lines on WALLS
+ * - every door / window as a line across its opening on DOORS / WINDOWS
+ * - furniture footprints as blocks (one per distinct piece) inserted on FURNITURE
+ * - room names as TEXT on ANNOTATION
+ * Layout X/Z map to DXF X/-Y, the inverse of the importer. Layouts imported from DXF go back to their source
+ * drawing's units and origin (see `layout.source`); others are written in metres around the layout origin.
+ */
+export class DXFExporter {
+    /**
+     * @param {object} options
+     * @param {string} [options.units] Drawing unit ('mm', 'cm', 'm', 'in', 'ft', ...) written to $INSUNITS
+     * @param {number} [options.level] Index of the level to write; a DXF plan holds one storey
+     * @param {number} [options.textHeight] Height of the room names in metres
+     */
+    constructor(options = {}) {
+        this.units = options.units || null;
+        this.level = options.level ?? 0;
+        this.textHeight = options.textHeight ?? 0.25;
+    }
+
+    /**
+     * Drawing unit, metres per unit and the drawing point of the layout origin (in metres)
+     */
+    resolveFrame(layout) {
+        const source = layout.source && layout.source.format === 'dxf' ? layout.source : null;
+        const origin = source && source.origin
+            ? { x: source.origin.x * source.scale, y: source.origin.y * source.scale }
+            : { x: 0, y: 0 };
+
+        if (this.units) {
+            const scale = metresPerUnit(this.units);
+            if (!scale) throw new Error(`Unknown drawing unit "${this.units}".`);
+            return { units: this.units, scale, origin };
+        }
+        // A calibrated drawing's scale is no standard unit, so it is written in metres
+        const unitScale = source && metresPerUnit(source.units);
+        if (unitScale && Math.abs(unitScale - source.scale) <= unitScale * 1e-9) {
+            return { units: source.units, scale: unitScale, origin };
+        }
+        return { units: 'm', scale: 1, origin };
+    }
+
+    /**
+     * @returns {string} DXF file contents
+     */
+    export(layout) {
+        const level = layout.levels[this.level];
+        if (!level) {
+            throw new Error(`Layout ${layout.id} has no level ${this.level}.`);
+        }
+        const { units, scale, origin } = this.resolveFrame(layout);
+        // Level space (metres, x/z) -> drawing units (x/y)
+        const toDrawing = (p) => ({ x: (p.x + origin.x) / scale, y: (origin.y - p.z) / scale });
+        console.log(`[DXFExporter] Writing ${layout.id} level "${level.name}" in ${units}`);
+
+        const entities = new DxfWriter();
+        const blocks = new Map(); // block name -> footprint { width, depth } in drawing units
+
+        level.rooms.forEach(room => {
+            const plan = room.getPlan();
+            const outline = planFootprint(plan);
+            entities.polygon('WALLS', outline.map(toDrawing));
+
+            const edges = footprintEdges(outline);
+            plan.openings.forEach(opening => {
+                const edge = edges[opening.wall];
+                if (!edge) return;
+                const along = (t) => ({
+                    x: edge.start.x + ((edge.end.x - edge.start.x) * t) / edge.length,
+                    z: edge.start.z + ((edge.end.z - edge.start.z) * t) / edge.length
+                });
+                entities.line(openingLayer(opening), toDrawing(along(opening.offset)), toDrawing(along(opening.offset + opening.width)));
+            });
+
+            room.furnitureList.forEach(furniture => {
+                const size = furniture.getSize();
+                const footprint = { width: size.x / scale, depth: size.z / scale };
+                const block = blockName(furniture.name, footprint, blocks);
+                blocks.set(block, footprint);
+
+                const position = toLevelSpace(
+                    { x: furniture.root.position.x, z: furniture.root.position.z },
+                    plan.position,
+                    plan.rotation
+                );
+                const rotation = ((plan.rotation + furniture.root.rotation.y) * 180) / Math.PI;
+                entities.insert('FURNITURE', block, toDrawing(position), rotation);
+            });
+
+            entities.text('ANNOTATION', toDrawing(labelPoint(outline)), this.textHeight / scale, room.name);
+        });
+
+        level.walls.forEach(wall => {
+            const { start, end } = wall.segment;
+            entities.line('WALLS', toDrawing(start), toDrawing(end));
+            wall.openings.forEach(opening => {
+                const along = (t) => ({
+                    x: start.x + ((end.x - start.x) * t) / wall.width,
+                    z: start.z + ((end.z - start.z) * t) / wall.width
+                });
+                entities.line(openingLayer(opening), toDrawing(along(opening.offset)), toDrawing(along(opening.offset + opening.width)));
+            });
+        });
+
+        return this.writeDocument(units, blocks, entities);
+    }
+
+    writeDocument(units, blocks, entities) {
+        const out = new DxfWriter();
+        const section = (name, write) => {
+            out.pair(0, 'SECTION');
+            out.pair(2, name);
+            write();
+            out.pair(0, 'ENDSEC');
+        };
+
+        section('HEADER', () => {
+            out.pair(9, '$ACADVER');
+            out.pair(1, 'AC1009');
+            out.pair(9, '$INSUNITS');
+            out.pair(70, unitCode(units));
+            out.pair(9, '$MEASUREMENT');
+            out.pair(70, ['in', 'ft', 'mi', 'yd', 'mil', 'µin', 'us-ft'].includes(units) ? 0 : 1);
+        });
+
+        section('TABLES', () => {
+            out.pair(0, 'TABLE');
+            out.pair(2, 'LTYPE');
+            out.pair(70, 1);
+            out.pair(0, 'LTYPE');
+            out.pair(2, 'CONTINUOUS');
+            out.pair(70, 0);
+            out.pair(3, 'Solid line');
+            out.pair(72, 65);
+            out.pair(73, 0);
+            out.pair(40, 0);
+            out.pair(0, 'ENDTAB');
+
+            out.pair(0, 'TABLE');
+            out.pair(2, 'LAYER');
+            out.pair(70, EXPORT_LAYERS.length + 1);
+            [{ name: '0', color: 7 }, ...EXPORT_LAYERS].forEach(layer => {
+                out.pair(0, 'LAYER');
+                out.pair(2, layer.name);
+                out.pair(70, 0);
+                out.pair(62, layer.color);
+                out.pair(6, 'CONTINUOUS');
+            });
+            out.pair(0, 'ENDTAB');
+        });
+
+        // Block geometry sits on layer 0 so it takes the layer of its INSERT
+        section('BLOCKS', () => {
+            blocks.forEach(({ width, depth }, name) => {
+                out.pair(0, 'BLOCK');
+                out.pair(8, '0');
+                out.pair(2, name);
+                out.pair(70, 0);
+                out.point(0, 0);
+                out.pair(3, name);
+                out.polygon('0', [
+                    { x: -width / 2, y: -depth / 2 },
+                    { x: width / 2, y: -depth / 2 },
+                    { x: width / 2, y: depth / 2 },
+                    { x: -width / 2, y: depth / 2 }
+                ]);
+                out.pair(0, 'ENDBLK');
+                out.pair(8, '0');
+            });
+        });
+
+        section('ENTITIES', () => {
+            out.lines.push(...entities.lines);
+        });
+        out.pair(0, 'EOF');
+        return out.toString();
+    }
+}
+
+const openingLayer = (opening) => (opening.type === 'window' ? 'WINDOWS' : 'DOORS');
+
+/**
+ * Block name for a furniture footprint: the piece's name, made unique when pieces share a name but not a size
+ */
+function blockName(name, footprint, blocks) {
+    const base = (name || 'FURNITURE').toUpperCase().replace(/[^A-Z0-9_-]+/g, '_').replace(/^_+|_+$/g, '') || 'FURNITURE';
+    const sameSize = (existing) => Math.abs(existing.width - footprint.width) < 1e-6 && Math.abs(existing.depth - footprint.depth) < 1e-6;
+    for (let i = 1; ; i++) {
+        const candidate = i === 1 ? base : `${base}_${i}`;
+        const existing = blocks.get(candidate);
+        if (!existing || sameSize(existing)) return candidate;
+    }
+}
@@ -1,5 +1,10 @@
 import DxfParser from 'dxf-parser';
-import * as THREE from 'three';
+import { Furniture, Layout3D, Level, Room, Wall } from './PrototypePattern';
+import { DEFAULTS } from './shared/layoutSchema.js';
+import { footprintBounds, footprintEdges, polygonArea, isSimplePolygon, pointInPolygon } from './shared/roomGeometry.js';
+import { toLevelSpace } from './shared/adjacency.js';
+import { cleanWallSegments } from './shared/wallGraph.js';
+import { headerUnits, metresPerUnit } from './DXFUnits';
 
 // --- Parser ---
 export class DXFParser {
@@ -18,145 +23,556 @@ export class DXFParser {
     }
 }
 
+// --- Layer Roles ---
+
+/**
+ * What the geometry of a layer stands for. `ignore` drops it (TEXT/MTEXT labels are read on every layer).
+ */
+export const LAYER_ROLES = ['wall', 'door', 'window', 'furniture', 'ignore'];
+
+/**
+ * Fallback rules for layers missing from the configured `layerRoles`, matched against the layer name.
+ * Layers matching none of them are walls.
+ */
+export const DEFAULT_LAYER_RULES = [
+    { pattern: /door/i, role: 'door' },
+    { pattern: /window|glaz/i, role: 'window' },
+    { pattern: /furn|equip/i, role: 'furniture' },
+    { pattern: /anno|dim|text|hatch|grid|defpoints/i, role: 'ignore' }
+];
+
+/**
+ * @param {string} layer
+ * @param {object} layerRoles Layer name -> role, compared case-insensitively
+ */
+export function resolveLayerRole(layer, layerRoles = {}) {
+    const name = (layer || '0').toLowerCase();
+    const configured = Object.keys(layerRoles).find(key => key.toLowerCase() === name);
+    if (configured) return layerRoles[configured];
+    const rule = DEFAULT_LAYER_RULES.find(candidate => candidate.pattern.test(layer || ''));
+    return rule ? rule.role : 'wall';
+}
+
+/**
+ * Names of all layers used by entities of the drawing (including inside blocks), sorted
+ */
+export function listLayers(dxfModel) {
+    const layers = new Set();
+    const visit = (entities) => (entities || []).forEach(entity => layers.add(entity.layer || '0'));
+    visit(dxfModel && dxfModel.entities);
+    Object.values((dxfModel && dxfModel.blocks) || {}).forEach(block => visit(block.entities));
+    return [...layers].sort();
+}
+
+// --- 2D Transforms (DXF drawing space, for block inserts) ---
+
+const IDENTITY = { a: 1, b: 0, c: 0, d: 1, tx: 0, ty: 0 };
+
+const applyTransform = (m, p) => ({ x: m.a * p.x + m.c * p.y + m.tx, y: m.b * p.x + m.d * p.y + m.ty });
+
+function multiply(m, n) {
+    return {
+        a: m.a * n.a + m.c * n.b,
+        b: m.b * n.a + m.d * n.b,
+        c: m.a * n.c + m.c * n.d,
+        d: m.b * n.c + m.d * n.d,
+        tx: m.a * n.tx + m.c * n.ty + m.tx,
+        ty: m.b * n.tx + m.d * n.ty + m.ty
+    };
+}
+
+/**
+ * Block space -> drawing space of an INSERT: move the base point to the origin, scale, rotate, then place
+ */
+function insertTransform(insert, block) {
+    const base = block.position || { x: 0, y: 0 };
+    const sx = insert.xScale ?? 1;
+    const sy = insert.yScale ?? 1;
+    const angle = ((insert.rotation || 0) * Math.PI) / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const position = insert.position || { x: 0, y: 0 };
+    const local = { a: sx * cos, b: sx * sin, c: -sy * sin, d: sy * cos, tx: 0, ty: 0 };
+    const shifted = applyTransform(local, { x: -base.x, y: -base.y });
+    return { ...local, tx: shifted.x + position.x, ty: shifted.y + position.y };
+}
+
+// --- Curves ---
+
+/**
+ * Points along an arc (angles in radians, counter-clockwise from start to end), both ends included
+ */
+function tessellateArc(center, radius, startAngle, endAngle, segmentsPerCircle) {
+    let sweep = endAngle - startAngle;
+    while (sweep <= 0) sweep += Math.PI * 2;
+    const segments = Math.max(2, Math.ceil((sweep / (Math.PI * 2)) * segmentsPerCircle));
+    const points = [];
+    for (let i = 0; i <= segments; i++) {
+        const angle = startAngle + (sweep * i) / segments;
+        points.push({ x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) });
+    }
+    return points;
+}
+
+/**
+ * Polyline vertices with their bulges (arc segments) expanded into straight pieces
+ */
+function expandBulges(vertices, closed, segmentsPerCircle) {
+    const points = [];
+    vertices.forEach((vertex, i) => {
+        points.push({ x: vertex.x, y: vertex.y });
+        const next = vertices[i + 1] || (closed ? vertices[0] : null);
+        if (!vertex.bulge || !next) return;
+
+        // bulge = tan(sweep / 4); positive bulges turn counter-clockwise
+        const sweep = 4 * Math.atan(vertex.bulge);
+        const chord = Math.hypot(next.x - vertex.x, next.y - vertex.y);
+        if (chord < 1e-9) return;
+        const radius = chord / (2 * Math.sin(Math.abs(sweep) / 2));
+        const mid = { x: (vertex.x + next.x) / 2, y: (vertex.y + next.y) / 2 };
+        const normal = { x: -(next.y - vertex.y) / chord, y: (next.x - vertex.x) / chord };
+        const sagitta = radius * Math.cos(sweep / 2);
+        const center = { x: mid.x + normal.x * sagitta * Math.sign(sweep), y: mid.y + normal.y * sagitta * Math.sign(sweep) };
+        const start = Math.atan2(vertex.y - center.y, vertex.x - center.x);
+        const arc = sweep > 0
+            ? tessellateArc(center, radius, start, start + sweep, segmentsPerCircle)
+            : tessellateArc(center, radius, start + sweep, start, segmentsPerCircle).reverse();
+        points.push(...arc.slice(1, -1));
+    });
+    return points;
+}
+
 // --- Reconstruction Engine ---
+
+// Height of the placeholder boxes created for furniture blocks
+const FURNITURE_HEIGHT = 0.8;
+
+/**
+ * Converts a parsed DXF model into a Layout3D master:
+ * - layers are mapped to roles (see resolveLayerRole); ARCs, CIRCLEs and polyline bulges are tessellated
+ *   and block INSERTs are expanded with their transforms
+ * - closed wall outlines become Room footprints (named after a TEXT/MTEXT label inside them, if any),
+ *   other wall geometry becomes free-standing Walls of the level, cleaned up as a wall graph (cleanWallSegments)
+ * - door / window geometry is cut into the wall it sits on as an opening
+ * - furniture blocks (and closed furniture outlines) become placeholder Furniture in the room containing them
+ * DXF X/Y map to layout X/-Z, so the plan reads the same way from above. Drawing units are converted to metres
+ * (see resolveUnits) and the plan is centred on the origin; both are recorded in `layout.source`.
+ */
 export class ReconstructionEngine {
-    constructor() {
-        this.wallHeight = 2.5;
-        this.wallColor = 0xcccccc;
+    /**
+     * @param {object} options
+     * @param {object} [options.layerRoles] Layer name -> role ('wall', 'door', 'window', 'furniture', 'ignore')
+     * @param {string} [options.units] Drawing unit ('mm', 'cm', 'm', 'in', 'ft', ...) overriding the $INSUNITS header
+     * @param {{ drawingLength: number, metres: number }} [options.calibration] A known distance, e.g. a line
+     *   1200 drawing units long that measures 4.2 m. Takes precedence over `units`.
+     * @param {number} [options.arcSegments] Segments per full circle when tessellating curves
+     * @param {number} [options.openingTolerance] Max distance (metres) between a door/window and its wall
+     * @param {number} [options.minRoomArea] Smaller closed wall outlines (columns, ducts, in m²) stay plain walls
+     * @param {number} [options.snapTolerance] Wall endpoints closer than this (metres) are joined
+     */
+    constructor(options = {}) {
+        this.wallHeight = options.wallHeight ?? 2.5;
+        this.wallThickness = options.wallThickness ?? DEFAULTS.wall.thickness;
+        this.layerRoles = options.layerRoles || {};
+        this.units = options.units || null;
+        this.calibration = options.calibration || null;
+        this.arcSegments = options.arcSegments ?? 32;
+        this.openingTolerance = options.openingTolerance ?? 0.3;
+        this.minRoomArea = options.minRoomArea ?? 1;
+        this.snapTolerance = options.snapTolerance ?? 0.01;
+        this.maxInsertDepth = 8;
+    }
+
+    /**
+     * Metres per drawing unit, in order of precedence: calibration, the `units` option, the $INSUNITS header.
+     * Drawings without (known) units are assumed to be in metres.
+     * @returns {{ units: string, unitsSource: string, scale: number }} `unitsSource` is 'calibration',
+     *   'override', 'header' or 'assumed'
+     */
+    resolveUnits(dxfModel) {
+        const header = headerUnits(dxfModel);
+        const declared = this.units
+            ? { units: this.units, unitsSource: 'override', scale: metresPerUnit(this.units) }
+            : { units: header ? header.name : 'unitless', unitsSource: 'header', scale: header ? header.metres : null };
+
+        if (this.calibration) {
+            const { drawingLength, metres } = this.calibration;
+            if (!(drawingLength > 0) || !(metres > 0)) {
+                throw new Error('Calibration needs a drawing length and a real length greater than 0.');
+            }
+            return { units: declared.units, unitsSource: 'calibration', scale: metres / drawingLength };
+        }
+        if (this.units && !declared.scale) {
+            throw new Error(`Unknown drawing unit "${this.units}".`);
+        }
+        if (!declared.scale) {
+            console.warn(`[ReconstructionEngine] Drawing units are ${declared.units}; assuming metres.`);
+            return { units: 'm', unitsSource: 'assumed', scale: 1 };
+        }
+        return declared;
+    }
+
+    /**
+     * The longest straight wall lines of the drawing (in drawing units), as candidates for calibration
+     * @returns {Array<{ layer: string, length: number, start: {x, y}, end: {x, y} }>}
+     */
+    referenceLines(dxfModel, limit = 10) {
+        const collected = { chains: [], groups: [], labels: [] };
+        const summary = { inserts: 0, ignored: 0, skipped: {} };
+        this.collect((dxfModel && dxfModel.entities) || [], (dxfModel && dxfModel.blocks) || {}, IDENTITY, null, 0, collected, summary);
+
+        const lines = [];
+        collected.chains.forEach(chain => {
+            const count = chain.closed ? chain.points.length : chain.points.length - 1;
+            for (let i = 0; i < count; i++) {
+                const start = chain.points[i];
+                const end = chain.points[(i + 1) % chain.points.length];
+                const length = Math.hypot(end.x - start.x, end.y - start.y);
+                if (length > 0) lines.push({ layer: chain.layer, length, start, end });
+            }
+        });
+        return lines.sort((a, b) => b.length - a.length).slice(0, limit);
     }
 
     /**
-     * Reconstructs 3D layout from a DXF model
+     * Reconstructs a 3D layout from a DXF model
+     * @returns {{ layout: Layout3D, summary: object }} `summary` counts what was recognized and skipped
      */
-    reconstruct(dxfModel) {
+    reconstruct(dxfModel, { id = `dxf-import-${Date.now()}`, name = 'Imported DXF', fileName } = {}) {
         console.log("[ReconstructionEngine] Reconstructing 3D layout from DXF...");
-        const group = new THREE.Group();
+        const entities = (dxfModel && dxfModel.entities) || [];
+        const { units, unitsSource, scale } = this.resolveUnits(dxfModel);
+        const summary = {
+            entities: entities.length,
+            inserts: 0,
+            ignored: 0,
+            rooms: 0,
+            walls: 0,
+            segments: { before: 0, after: 0, snapped: 0, duplicates: 0, merged: 0 },
+            labels: 0,
+            doors: 0,
+            windows: 0,
+            furniture: 0,
+            unplaced: 0,
+            skipped: {},
+            units,
+            unitsSource,
+            scale,
+            size: { width: 0, depth: 0 }
+        };
 
-        if (!dxfModel || !dxfModel.entities) return group;
+        // 1. Flatten entities (expanding blocks) into wall chains, door/window/furniture groups and labels
+        const collected = { chains: [], groups: [], labels: [] };
+        this.collect(entities, (dxfModel && dxfModel.blocks) || {}, IDENTITY, null, 0, collected, summary);
 
-        // 1. Calculate Bounding Box for Auto-Scaling
+        // 2. Bounding box, to centre the plan
         let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-
         const updateBounds = (v) => {
             if (v.x < minX) minX = v.x;
             if (v.y < minY) minY = v.y;
             if (v.x > maxX) maxX = v.x;
             if (v.y > maxY) maxY = v.y;
         };
+        collected.chains.forEach(chain => chain.points.forEach(updateBounds));
+        collected.groups.forEach(group => group.points.forEach(updateBounds));
 
-        dxfModel.entities.forEach((entity) => {
-            if (entity.vertices) {
-                entity.vertices.forEach(updateBounds);
-            }
-        });
+        const layout = new Layout3D(id, name);
+        // Metres per drawing unit and the drawing point placed at the layout origin, so plans can be mapped back
+        layout.source = { format: 'dxf', fileName: fileName || null, units, unitsSource, scale, origin: { x: 0, y: 0 } };
+        const level = new Level('Level 1', 0, { ceilingHeight: this.wallHeight });
+        layout.addLevel(level);
 
         if (minX === Infinity) {
-             console.warn("No vertices found in DXF entities.");
-             return group;
+            console.warn("No vertices found in DXF entities.");
+            return { layout, summary };
         }
 
-        const width = maxX - minX;
-        const height = maxY - minY;
         const centerX = (minX + maxX) / 2;
         const centerY = (minY + maxY) / 2;
+        layout.source.origin = { x: centerX, y: centerY };
+        summary.size = { width: (maxX - minX) * scale, depth: (maxY - minY) * scale };
+
+        console.log(`[ReconstructionEngine] Bounds: [${minX}, ${minY}] to [${maxX}, ${maxY}], ${scale} m per ${units} (${unitsSource})`);
+
+        // DXF (x, y) -> layout (x, -z) in metres, centred on the drawing
+        const toPlan = (v) => ({ x: (v.x - centerX) * scale, z: -(v.y - centerY) * scale });
+        const labels = collected.labels.map(label => ({ ...label, point: toPlan(label.point) }));
+
+        // 3. Closed wall outlines become rooms, everything else free-standing wall segments
+        const rooms = [];
+        const rawSegments = [];
+        collected.chains.forEach((chain) => {
+            const points = dedupePoints(chain.points.map(toPlan));
+            const closesItself = points.length > 3 && samePoint(points[0], points[points.length - 1]);
+            if (closesItself) points.pop();
+
+            if ((chain.closed || closesItself) && isRoomOutline(points, this.minRoomArea)) {
+                rooms.push(this.createRoomPlan(points, labels, rooms.length, summary));
+                return;
+            }
+            const segmentCount = chain.closed ? points.length : points.length - 1;
+            for (let i = 0; i < segmentCount; i++) {
+                const start = points[i];
+                const end = points[(i + 1) % points.length];
+                rawSegments.push({ start, end });
+            }
+        });
+
+        // Snap, de-duplicate and merge the segments; pieces drawn over room outlines are dropped
+        const cleanup = cleanWallSegments(rawSegments, {
+            tolerance: this.snapTolerance,
+            fixedEdges: rooms.flatMap(room => footprintEdges(room.outline))
+        });
+        summary.segments = cleanup.stats;
+        const segments = cleanup.segments.map(segment => ({ ...segment, openings: [] }));
+
+        // 4. Doors / windows become openings, furniture goes into the room containing it
+        collected.groups.forEach((group) => {
+            const points = group.points.map(toPlan);
+            if (group.role === 'furniture') {
+                this.placeFurniture(group, points, rooms, summary);
+            } else {
+                this.placeOpening(group.role, points, rooms, segments, summary);
+            }
+        });
 
-        // Determine scale factor - aim to fit within a ~20 unit area
-        const maxDimension = Math.max(width, height);
-        const scale = maxDimension > 0 ? 20 / maxDimension : 1;
-
-        console.log(`[ReconstructionEngine] Bounds: [${minX}, ${minY}] to [${maxX}, ${maxY}], Scale: ${scale}`);
-
-        // 2. Create Floor (scaled to fit)
-        const floorGeometry = new THREE.PlaneGeometry(Math.max(width * scale * 1.5, 50), Math.max(height * scale * 1.5, 50));
-        const floorMaterial = new THREE.MeshPhongMaterial({ color: 0x333333, side: THREE.DoubleSide });
-        const floor = new THREE.Mesh(floorGeometry, floorMaterial);
-        floor.rotation.x = -Math.PI / 2;
-        floor.position.y = -0.01;
-        group.add(floor);
-
-        // 3. Process DXF Entities with scaling and centering
-        const offsetAndScale = (x, y) => {
-            return {
-                x: (x - centerX) * scale,
-                y: (y - centerY) * scale
-            };
+        // 5. Build the entities
+        rooms.forEach(plan => {
+            const room = new Room(plan.name, plan.width, plan.depth, {
+                footprint: plan.footprint,
+                wallHeight: this.wallHeight,
+                wallThickness: this.wallThickness,
+                openings: plan.openings,
+                position: plan.center
+            });
+            plan.furniture.forEach(furniture => room.addFurniture(furniture));
+            level.addRoom(room);
+        });
+        level.addWalls(segments.map(segment =>
+            Wall.fromSegment(segment.start, segment.end, this.wallHeight, this.wallThickness, segment.openings)
+        ));
+        summary.walls = segments.length;
+        level.resolveAdjacency();
+
+        const size = Math.max(summary.size.width, summary.size.depth, 1);
+        layout.cameraView = {
+            position: { x: 0, y: size, z: size },
+            target: { x: 0, y: 0, z: 0 }
         };
 
-        dxfModel.entities.forEach((entity) => {
-            if (entity.type === 'LINE') {
-                const v1 = offsetAndScale(entity.vertices[0].x, entity.vertices[0].y);
-                const v2 = offsetAndScale(entity.vertices[1].x, entity.vertices[1].y);
-                this.addWallSegment(v1.x, v1.y, v2.x, v2.y, group);
-            } else if (entity.type === 'LWPOLYLINE' || entity.type === 'POLYLINE') {
-                for (let i = 0; i < entity.vertices.length - 1; i++) {
-                    const v1 = offsetAndScale(entity.vertices[i].x, entity.vertices[i].y);
-                    const v2 = offsetAndScale(entity.vertices[i + 1].x, entity.vertices[i + 1].y);
-                    this.addWallSegment(v1.x, v1.y, v2.x, v2.y, group);
-                }
-                if (entity.shape || entity.closed) {
-                    const v1 = offsetAndScale(entity.vertices[entity.vertices.length - 1].x, entity.vertices[entity.vertices.length - 1].y);
-                    const v2 = offsetAndScale(entity.vertices[0].x, entity.vertices[0].y);
-                    this.addWallSegment(v1.x, v1.y, v2.x, v2.y, group);
+        console.log(`[ReconstructionEngine] ${summary.rooms} rooms, ${summary.walls} walls (${summary.segments.before} segments before clean-up), ${summary.doors + summary.windows} openings, ${summary.furniture} furniture`);
+        return { layout, summary };
+    }
+
+    /**
+     * Walk entities in drawing space. `transform` maps the current (block) space into drawing space and
+     * `blockLayer` is the layer of the enclosing INSERT, inherited by entities on layer "0".
+     * `forcedRole` overrides the layer roles (used to gather all geometry of a door/window/furniture block).
+     */
+    collect(entities, blocks, transform, blockLayer, depth, out, summary, forcedRole = null) {
+        entities.forEach((entity) => {
+            const layer = (entity.layer === '0' || !entity.layer) && blockLayer ? blockLayer : entity.layer;
+            const role = forcedRole || resolveLayerRole(layer, this.layerRoles);
+
+            if (entity.type === 'TEXT' || entity.type === 'MTEXT') {
+                const anchor = entity.startPoint || entity.position;
+                if (entity.text && anchor) {
+                    out.labels.push({ text: cleanLabel(entity.text), point: applyTransform(transform, anchor) });
                 }
+                return;
+            }
+            if (role === 'ignore') {
+                summary.ignored++;
+                return;
             }
-        });
 
-        return group;
+            if (entity.type === 'INSERT') {
+                this.collectInsert(entity, blocks, transform, layer, role, depth, out, summary, forcedRole);
+                return;
+            }
+
+            const chain = this.entityChain(entity);
+            if (!chain) {
+                summary.skipped[entity.type] = (summary.skipped[entity.type] || 0) + 1;
+                return;
+            }
+            const points = chain.points.map(p => applyTransform(transform, p));
+            if (role === 'wall') {
+                out.chains.push({ points, closed: chain.closed, layer });
+            } else if (role !== 'furniture' || chain.closed) {
+                // Loose door/window pieces each become their own opening; overlapping ones are merged on placement
+                out.groups.push({ role, name: layer, points, rotation: 0 });
+            } else {
+                summary.skipped[entity.type] = (summary.skipped[entity.type] || 0) + 1;
+            }
+        });
     }
 
-    addWallSegment(x1, y1, x2, y2, group) {
-        const dx = x2 - x1;
-        const dy = y2 - y1;
-        const length = Math.sqrt(dx * dx + dy * dy);
-        if (length < 0.001) return;
+    collectInsert(insert, blocks, transform, layer, role, depth, out, summary, forcedRole) {
+        const block = blocks[insert.name];
+        if (!block || depth >= this.maxInsertDepth) {
+            summary.skipped.INSERT = (summary.skipped.INSERT || 0) + 1;
+            return;
+        }
+        summary.inserts++;
+        const blockTransform = multiply(transform, insertTransform(insert, block));
 
-        const geometry = new THREE.BoxGeometry(length, this.wallHeight, 0.2);
-        const material = new THREE.MeshPhongMaterial({ color: this.wallColor });
-        const wall = new THREE.Mesh(geometry, material);
+        if (role === 'wall' || forcedRole) {
+            // Wall blocks (and blocks nested in an object block) contribute their own entities
+            this.collect(block.entities || [], blocks, blockTransform, layer, depth + 1, out, summary, forcedRole);
+            return;
+        }
 
-        // Map DXF XY to 3D XZ (Y is up)
-        // Note: In standard DXF, Y is UP. In Three.js, Y is UP.
-        // But often plans are 2D (Top Down), so DXF X,Y -> Three X, -Z (or Z)
-        // Friend's code used: wall.position.set(midX, height/2, -midY);
-        
-        wall.position.set((x1 + x2) / 2, this.wallHeight / 2, -(y1 + y2) / 2);
+        // Door / window / furniture blocks are one object: gather all of their points
+        const inner = { chains: [], groups: [], labels: [] };
+        this.collect(block.entities || [], blocks, blockTransform, layer, depth + 1, inner, summary, 'wall');
 
-        const angle = Math.atan2(-dy, dx);
-        wall.rotation.y = angle;
+        const points = inner.chains.flatMap(chain => chain.points);
+        if (points.length === 0) return;
+        out.groups.push({
+            role,
+            name: insert.name,
+            points,
+            rotation: Math.atan2(blockTransform.b, blockTransform.a)
+        });
+    }
 
-        group.add(wall);
+    /**
+     * Point chain of a drawable entity in its own space, or null for unsupported types
+     */
+    entityChain(entity) {
+        switch (entity.type) {
+            case 'LINE':
+                return { points: entity.vertices.slice(0, 2), closed: false };
+            case 'LWPOLYLINE':
+            case 'POLYLINE': {
+                const closed = Boolean(entity.shape || entity.closed);
+                return { points: expandBulges(entity.vertices, closed, this.arcSegments), closed };
+            }
+            case 'ARC':
+                return {
+                    points: tessellateArc(entity.center, entity.radius, entity.startAngle, entity.endAngle, this.arcSegments),
+                    closed: false
+                };
+            case 'CIRCLE': {
+                const points = tessellateArc(entity.center, entity.radius, 0, Math.PI * 2, this.arcSegments);
+                points.pop(); // Same as the first point
+                return { points, closed: true };
+            }
+            default:
+                return null;
+        }
     }
-}
 
-// --- Helper Wrapper for Viewer ---
-export class ImportedLayout {
-    constructor(group) {
-        this.group = group;
-        this.group.userData.entityId = `dxf-import-${Date.now()}`;
-        this.id = this.group.userData.entityId;
-        // Mock camera view settings used by Viewer
-        this.cameraView = {
-            position: { x: 0, y: 20, z: 20 },
-            target: { x: 0, y: 0, z: 0 }
+    /**
+     * Room footprint centred on its own origin, placed at the outline's centre
+     */
+    createRoomPlan(points, labels, index, summary) {
+        const bounds = footprintBounds(points);
+        const center = { x: (bounds.minX + bounds.maxX) / 2, z: (bounds.minZ + bounds.maxZ) / 2 };
+        const label = labels.find(candidate => pointInPolygon(candidate.point, points));
+        if (label) summary.labels++;
+        summary.rooms++;
+
+        return {
+            name: label ? label.text : `Room ${index + 1}`,
+            width: bounds.maxX - bounds.minX,
+            depth: bounds.maxZ - bounds.minZ,
+            center,
+            outline: points,
+            footprint: points.map(p => ({ x: p.x - center.x, z: p.z - center.z })),
+            openings: [],
+            furniture: []
         };
     }
-    
-    dispose() {
-        console.log("Disposing imported layout resources...");
-        // Traverse and dispose geometries and materials
-        if (this.group) {
-            this.group.traverse((child) => {
-                if (child.isMesh) {
-                    if (child.geometry) child.geometry.dispose();
-                    if (child.material) {
-                        if (Array.isArray(child.material)) {
-                            child.material.forEach(m => m.dispose());
-                        } else {
-                            child.material.dispose();
-                        }
-                    }
-                }
+
+    /**
+     * Cut a door / window into the wall it touches: the nearest room edge or free wall segment that some of
+     * its points lie on. The opening spans the extent of those points along the wall.
+     */
+    placeOpening(role, points, rooms, segments, summary) {
+        const candidates = [
+            ...rooms.flatMap(room => footprintEdges(room.outline).map(edge => ({ start: edge.start, end: edge.end, wall: edge.index, target: room.openings }))),
+            ...segments.map(segment => ({ start: segment.start, end: segment.end, wall: null, target: segment.openings }))
+        ];
+
+        let best = null;
+        candidates.forEach(candidate => {
+            const length = Math.hypot(candidate.end.x - candidate.start.x, candidate.end.z - candidate.start.z);
+            const dir = { x: (candidate.end.x - candidate.start.x) / length, z: (candidate.end.z - candidate.start.z) / length };
+            const along = [];
+            let closest = Infinity;
+            points.forEach(p => {
+                const dx = p.x - candidate.start.x;
+                const dz = p.z - candidate.start.z;
+                const t = dx * dir.x + dz * dir.z;
+                const distance = Math.abs(dx * dir.z - dz * dir.x);
+                if (distance > this.openingTolerance || t < -this.openingTolerance || t > length + this.openingTolerance) return;
+                along.push(t);
+                closest = Math.min(closest, distance);
             });
+            if (along.length === 0 || (best && closest >= best.closest)) return;
+            best = { ...candidate, length, closest, from: Math.max(0, Math.min(...along)), to: Math.min(length, Math.max(...along)) };
+        });
+
+        const width = best ? best.to - best.from : 0;
+        const overlaps = best && best.target.some(opening =>
+            (opening.wall ?? null) === best.wall && best.from < opening.offset + opening.width && opening.offset < best.to
+        );
+        if (!best || width < 0.05 || overlaps) {
+            summary.unplaced++;
+            return;
+        }
+
+        const defaults = DEFAULTS.opening[role];
+        const opening = { type: role, offset: best.from, width, sillHeight: defaults.sillHeight, headHeight: defaults.headHeight };
+        if (best.wall !== null) opening.wall = best.wall;
+        best.target.push(opening);
+        summary[role === 'door' ? 'doors' : 'windows']++;
+    }
+
+    /**
+     * Placeholder box matching the block's footprint in its own (rotated) frame
+     */
+    placeFurniture(group, points, rooms, summary) {
+        // DXF rotations are counter-clockwise in X/Y, which is a rotation about +Y in layout space
+        const angle = group.rotation;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const local = points.map(p => ({ x: p.x * cos - p.z * sin, z: p.x * sin + p.z * cos }));
+        const bounds = footprintBounds(local);
+        const center = toLevelSpace({ x: (bounds.minX + bounds.maxX) / 2, z: (bounds.minZ + bounds.maxZ) / 2 }, { x: 0, z: 0 }, angle);
+
+        const room = rooms.find(candidate => pointInPolygon(center, candidate.outline));
+        if (!room) {
+            summary.unplaced++;
+            return;
         }
+
+        const furniture = new Furniture(group.name, 'Furniture', null);
+        furniture.setPosition(center.x - room.center.x, FURNITURE_HEIGHT / 2, center.z - room.center.z);
+        furniture.setRotation(0, angle, 0);
+        furniture.setDimensions({
+            x: Math.max(bounds.maxX - bounds.minX, 0.05),
+            y: FURNITURE_HEIGHT,
+            z: Math.max(bounds.maxZ - bounds.minZ, 0.05)
+        });
+        room.furniture.push(furniture);
+        summary.furniture++;
     }
 }
+
+const samePoint = (a, b) => Math.abs(a.x - b.x) < 1e-9 && Math.abs(a.z - b.z) < 1e-9;
+
+function dedupePoints(points) {
+    return points.filter((p, i) => i === 0 || !samePoint(p, points[i - 1]));
+}
+
+function isRoomOutline(points, minArea) {
+    return points.length >= 3 && polygonArea(points) >= Math.max(minArea, 1e-6) && isSimplePolygon(points);
+}
+
+// MTEXT carries inline formatting codes (\P paragraph breaks, {\fArial;...} fonts)
+function cleanLabel(text) {
+    return text.replace(/\\P/g, ' ').replace(/\\[A-Za-z][^;]*;/g, '').replace(/[{}]/g, '').trim();
+}
@@ -0,0 +1,58 @@
+/**
+ * DXF Drawing Units
+ * `$INSUNITS` header codes and their size in metres. Layouts are always in metres.
+ */
+
+export const INSUNITS = Object.freeze({
+    0: { name: 'unitless', metres: null },
+    1: { name: 'in', metres: 0.0254 },
+    2: { name: 'ft', metres: 0.3048 },
+    3: { name: 'mi', metres: 1609.344 },
+    4: { name: 'mm', metres: 0.001 },
+    5: { name: 'cm', metres: 0.01 },
+    6: { name: 'm', metres: 1 },
+    7: { name: 'km', metres: 1000 },
+    8: { name: 'µin', metres: 0.0000000254 },
+    9: { name: 'mil', metres: 0.0000254 },
+    10: { name: 'yd', metres: 0.9144 },
+    11: { name: 'Å', metres: 1e-10 },
+    12: { name: 'nm', metres: 1e-9 },
+    13: { name: 'µm', metres: 1e-6 },
+    14: { name: 'dm', metres: 0.1 },
+    15: { name: 'dam', metres: 10 },
+    16: { name: 'hm', metres: 100 },
+    21: { name: 'us-ft', metres: 1200 / 3937 }
+});
+
+/**
+ * Units offered for a manual override, in the order shown to the user
+ */
+export const COMMON_UNITS = ['mm', 'cm', 'm', 'in', 'ft'];
+
+/**
+ * `$INSUNITS` code of a unit name (e.g. 'mm' -> 4), or null when unknown
+ */
+export function unitCode(name) {
+    const entry = Object.entries(INSUNITS).find(([, unit]) => unit.name === name);
+    return entry ? Number(entry[0]) : null;
+}
+
+/**
+ * Metres per drawing unit for a unit name or `$INSUNITS` code, or null when unknown / unitless
+ */
+export function metresPerUnit(unit) {
+    const code = typeof unit === 'number' ? unit : unitCode(unit);
+    const entry = INSUNITS[code];
+    return entry ? entry.metres : null;
+}
+
+/**
+ * Units declared by a parsed DXF model
+ * @returns {{ code: number, name: string, metres: number|null }|null} null when the header has no $INSUNITS
+ */
+export function headerUnits(dxfModel) {
+    const code = dxfModel && dxfModel.header ? dxfModel.header.$INSUNITS : undefined;
+    if (code === undefined || code === null) return null;
+    const entry = INSUNITS[code];
+    return entry ? { code, ...entry } : { code, name: `code ${code}`, metres: null };
+}
@@ -0,0 +1,120 @@
+/**
+ * Materials for the finishes catalogue (shared/finishes.js).
+ *
+ * There is one material per finish and kind of surface. It is created on first use and shared by every layout,
+ * master and session clones alike, and it is never changed afterwards: a session swaps a finish by pointing its
+ * meshes at another material, so the master's materials stay as they are. Textured finishes are drawn onto a
+ * canvas from their `pattern`; no image files are needed.
+ */
+
+import * as THREE from 'three';
+import { findFinish } from './shared/finishes.js';
+
+// Pixels of one pattern repeat
+const TEXTURE_SIZE = 256;
+
+const materials = new Map();
+
+/**
+ * Repeatable pseudo-random numbers in [0, 1), so a pattern looks the same every time it is drawn
+ */
+function randomSequence(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+const seedOf = (text) => [...text].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) % 4294967296, 7);
+
+const shade = (color, factor) => new THREE.Color(color).multiplyScalar(factor).getStyle();
+
+function drawPlanks(context, entry, random) {
+    const rows = 6;
+    const rowHeight = TEXTURE_SIZE / rows;
+    for (let row = 0; row < rows; row++) {
+        const y = row * rowHeight;
+        // Planks of each row are offset from the row before, and their joints wrap around the repeat
+        const joint = ((row * 0.37) % 1) * TEXTURE_SIZE;
+        [joint - TEXTURE_SIZE, joint].forEach(x => {
+            context.fillStyle = shade(entry.color, 0.9 + random() * 0.2);
+            context.fillRect(x, y, TEXTURE_SIZE, rowHeight);
+        });
+        context.strokeStyle = entry.pattern.seam;
+        context.globalAlpha = 0.25;
+        for (let grain = 0; grain < 5; grain++) {
+            const grainY = y + random() * rowHeight;
+            context.beginPath();
+            context.moveTo(0, grainY);
+            context.bezierCurveTo(TEXTURE_SIZE / 3, grainY + random() * 4 - 2, (TEXTURE_SIZE * 2) / 3, grainY + random() * 4 - 2, TEXTURE_SIZE, grainY);
+            context.stroke();
+        }
+        context.globalAlpha = 1;
+        context.fillStyle = entry.pattern.seam;
+        context.fillRect(0, y, TEXTURE_SIZE, 2);
+        context.fillRect(joint, y, 2, rowHeight);
+    }
+}
+
+function drawTile(context, entry, random) {
+    const grout = 4;
+    context.fillStyle = entry.pattern.grout;
+    context.fillRect(0, 0, TEXTURE_SIZE, TEXTURE_SIZE);
+    context.fillStyle = shade(entry.color, 0.95 + random() * 0.1);
+    context.fillRect(grout / 2, grout / 2, TEXTURE_SIZE - grout, TEXTURE_SIZE - grout);
+}
+
+function drawPile(context, entry, random) {
+    context.fillStyle = entry.color;
+    context.fillRect(0, 0, TEXTURE_SIZE, TEXTURE_SIZE);
+    for (let i = 0; i < 6000; i++) {
+        context.fillStyle = shade(entry.color, 0.8 + random() * 0.4);
+        context.fillRect(random() * TEXTURE_SIZE, random() * TEXTURE_SIZE, 1.5, 1.5);
+    }
+}
+
+const PATTERNS = { planks: drawPlanks, tiles: drawTile, pile: drawPile };
+
+/**
+ * @returns {THREE.CanvasTexture|null} null for finishes without a pattern, or where there is no DOM to draw on
+ */
+function patternTexture(entry, metric) {
+    if (!entry.pattern || typeof document === 'undefined') return null;
+    const canvas = document.createElement('canvas');
+    canvas.width = TEXTURE_SIZE;
+    canvas.height = TEXTURE_SIZE;
+    PATTERNS[entry.pattern.type](canvas.getContext('2d'), entry, randomSequence(seedOf(entry.id)));
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.colorSpace = THREE.SRGBColorSpace;
+    // Room floors have texture coordinates in metres; models get one repeat across their own coordinates
+    if (metric) texture.repeat.setScalar(1 / entry.pattern.size);
+    return texture;
+}
+
+/**
+ * Shared material of a finish
+ * @param {string} id Finish id from the catalogue
+ * @param {boolean} [metric] The surface's texture coordinates are in metres (room floors)
+ * @returns {THREE.MeshStandardMaterial|null} null for unknown ids
+ */
+export function finishMaterial(id, metric = false) {
+    const key = `${id}|${metric ? 'metric' : 'model'}`;
+    if (!materials.has(key)) {
+        const entry = findFinish(id);
+        if (!entry) return null;
+        const map = patternTexture(entry, metric);
+        materials.set(key, new THREE.MeshStandardMaterial({
+            name: entry.name,
+            // The texture already carries the colour
+            color: map ? 0xffffff : entry.color,
+            map,
+            roughness: entry.roughness,
+            side: THREE.DoubleSide
+        }));
+    }
+    return materials.get(key);
+}
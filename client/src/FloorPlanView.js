@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+import { renderFloorPlanSvg } from './shared/floorPlanSvg.js';
+
+/**
+ * 2D floor plan of the session layout (a Layout3D), drawn from its current JSON so in-session edits show up
+ */
+const FloorPlanView = ({ layoutData }) => {
+    const [activeLevel, setActiveLevel] = useState(0);
+    const levels = layoutData.levels || [];
+    const levelIndex = Math.min(activeLevel, Math.max(levels.length - 1, 0));
+
+    let svg = null;
+    let error = null;
+    try {
+        svg = renderFloorPlanSvg(layoutData.toJSON(), { level: levelIndex });
+    } catch (err) {
+        error = err.message;
+    }
+
+    return (
+        <div className="viewer-wrapper">
+            {svg ? (
+                <div className="floor-plan" dangerouslySetInnerHTML={{ __html: svg }} />
+            ) : (
+                <div className="floor-plan">
+                    <p style={{ color: '#ff6b6b' }}>Could not draw the floor plan: {error}</p>
+                </div>
+            )}
+            {levels.length > 1 && (
+                <div className="viewer-toolbar">
+                    <select value={levelIndex} onChange={(e) => setActiveLevel(Number(e.target.value))}>
+                        {levels.map((level, i) => (
+                            <option key={level.group.userData.entityId} value={i}>{level.name}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FloorPlanView;
@@ -0,0 +1,138 @@
+/**
+ * Draws repeated furniture of ThreeDViewer with one InstancedMesh per shared geometry + material.
+ *
+ * Every piece loaded from the same modelUrl is a clone of one cached asset (see AssetCache), so its meshes
+ * share geometry and materials with the other pieces of that model; all placeholder boxes share theirs too.
+ * Meshes used by at least MIN_INSTANCES pieces are batched. The original meshes stay in the layout, moved to
+ * INSTANCED_LAYER: the camera no longer draws them, but raycasters that enable the layer still pick them and
+ * exports are unaffected. sync() copies their world matrices into the batches before each render, so edits,
+ * level modes and LOD switches show up without rebuilding.
+ */
+
+import * as THREE from 'three';
+
+export const INSTANCED_LAYER = 1;
+
+// Fewer copies than this are cheaper to draw as plain meshes
+const MIN_INSTANCES = 2;
+
+/**
+ * True when `node` and its ancestors up to `root` are visible (hidden levels, inactive LOD variants)
+ */
+function shownUnder(node, root) {
+    for (; node && node !== root; node = node.parent) {
+        if (!node.visible) return false;
+    }
+    return Boolean(node) && root.visible;
+}
+
+function batchKey(mesh) {
+    const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+    return `${mesh.geometry.uuid}|${materials.map(material => material.uuid).join(',')}`;
+}
+
+export class FurnitureInstancer {
+    constructor(scene) {
+        this.group = new THREE.Group();
+        this.group.name = 'Furniture instances';
+        scene.add(this.group);
+        this.layout = null;
+        this.batches = []; // { mesh: InstancedMesh, sources: [Mesh] }
+        this.signature = '';
+    }
+
+    setLayout(layout) {
+        this.clear();
+        this.layout = layout;
+    }
+
+    /**
+     * Meshes of all furniture, grouped by what they share
+     * @returns {Map<string, Array>}
+     */
+    collectSources() {
+        const groups = new Map();
+        this.layout.rooms.forEach(room => room.furnitureList.forEach(furniture => {
+            furniture.root.traverse(node => {
+                if (!node.isMesh || node.isSkinnedMesh || node.isInstancedMesh) return;
+                const key = batchKey(node);
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(node);
+            });
+        }));
+        return groups;
+    }
+
+    /**
+     * Bring the batches up to date with the layout; call before rendering with `camera`
+     */
+    sync(camera) {
+        if (!this.layout) return;
+        this.layout.group.updateMatrixWorld();
+        // LOD objects pick their variant for this camera first, so the batches hold what is about to be drawn
+        camera.updateMatrixWorld();
+        this.layout.group.traverse(node => {
+            if (node.isLOD) node.update(camera);
+        });
+
+        const groups = this.collectSources();
+        const signature = [...groups.entries()]
+            .map(([key, sources]) => `${key}:${sources.map(source => source.id).join(',')}`)
+            .join(';');
+        if (signature !== this.signature) {
+            this.rebuild(groups);
+            this.signature = signature;
+        }
+
+        this.batches.forEach(({ mesh, sources }) => {
+            let count = 0;
+            sources.forEach(source => {
+                if (shownUnder(source, this.layout.group)) mesh.setMatrixAt(count++, source.matrixWorld);
+            });
+            mesh.count = count;
+            mesh.instanceMatrix.needsUpdate = true;
+            mesh.computeBoundingSphere();
+        });
+    }
+
+    rebuild(groups) {
+        this.clear();
+        groups.forEach(sources => {
+            if (sources.length < MIN_INSTANCES) return;
+            const [first] = sources;
+            const mesh = new THREE.InstancedMesh(first.geometry, first.material, sources.length);
+            mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+            mesh.castShadow = first.castShadow;
+            mesh.receiveShadow = first.receiveShadow;
+            sources.forEach(source => source.layers.set(INSTANCED_LAYER));
+            this.group.add(mesh);
+            this.batches.push({ mesh, sources });
+        });
+    }
+
+    /**
+     * Drop the batches and let the camera draw the original meshes again
+     */
+    clear() {
+        this.batches.forEach(({ mesh, sources }) => {
+            sources.forEach(source => source.layers.set(0));
+            this.group.remove(mesh);
+            // Geometry and materials belong to the furniture (asset cache); only the instance buffers are ours
+            mesh.dispose();
+        });
+        this.batches = [];
+        this.signature = '';
+    }
+
+    getStats() {
+        return {
+            batches: this.batches.length,
+            instances: this.batches.reduce((sum, batch) => sum + batch.mesh.count, 0)
+        };
+    }
+
+    dispose() {
+        this.clear();
+        this.group.removeFromParent();
+    }
+}
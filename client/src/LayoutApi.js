@@ -0,0 +1,62 @@
+/**
+ * Thin client for the layout REST API served by `server/index.js`
+ */
+
+export const API_BASE = 'http://localhost:5000/api';
+
+/**
+ * Non-2xx response. `details` carries schema errors for 400 responses.
+ */
+export class ApiError extends Error {
+    constructor(status, message, details = []) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+async function request(path, options = {}) {
+    const response = await fetch(`${API_BASE}${path}`, {
+        ...options,
+        headers: options.body ? { 'Content-Type': 'application/json', ...options.headers } : options.headers
+    });
+
+    if (!response.ok) {
+        let body = {};
+        try {
+            body = await response.json();
+        } catch (e) {
+            // Non-JSON error body; fall back to the status code
+        }
+        // Keep "(404)" in the message, the UI uses it to tell missing layouts apart from outages
+        const message = response.status === 404
+            ? 'Layout not found (404)'
+            : `${body.error || 'HTTP error!'} (status: ${response.status})`;
+        throw new ApiError(response.status, message, body.details);
+    }
+
+    return response.status === 204 ? null : response.json();
+}
+
+export function listLayouts({ offset = 0, limit = 100, name } = {}) {
+    const params = new URLSearchParams({ offset, limit });
+    if (name) params.set('name', name);
+    return request(`/layouts?${params}`);
+}
+
+export function fetchLayout(id, { signal } = {}) {
+    return request(`/layouts/${encodeURIComponent(id)}`, { signal });
+}
+
+export function createLayout(layout) {
+    return request('/layouts', { method: 'POST', body: JSON.stringify(layout) });
+}
+
+export function listRevisions(id) {
+    return request(`/layouts/${encodeURIComponent(id)}/revisions`);
+}
+
+export function fetchRevision(id, revision) {
+    return request(`/layouts/${encodeURIComponent(id)}/revisions/${revision}`);
+}
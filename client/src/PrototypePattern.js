@@ -6,6 +6,76 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils';
+import { DEFAULTS, normalizeLayout, normalizeLevel, normalizeRoom, normalizeFurniture } from './shared/layoutSchema.js';
+import { roomFootprint, footprintEdges } from './shared/roomGeometry.js';
+import { analyzeAdjacency, subtractIntervals } from './shared/adjacency.js';
+import { applyOverlay, isDerivedLayout } from './shared/layoutOverlay.js';
+import { wallJoints } from './shared/wallGraph.js';
+import { checkPlacement } from './shared/placementValidation.js';
+import { ALL_MATERIALS } from './shared/finishes.js';
+import { assetCache } from './AssetCache';
+import { finishMaterial } from './FinishMaterials';
+
+/**
+ * Plain {x, y, z} copy of a THREE.Vector3 / THREE.Euler for serialization
+ */
+const vectorToJSON = (v) => ({ x: v.x, y: v.y, z: v.z });
+
+// Material(s) each furniture mesh had before finishes were applied (the model's own, shared via the asset cache)
+const originalMaterials = new WeakMap();
+
+/**
+ * Carry the original materials recorded for `source`'s meshes over to their counterparts in `copy` (a clone)
+ */
+function copyOriginalMaterials(source, copy) {
+    if (originalMaterials.has(source)) originalMaterials.set(copy, originalMaterials.get(source));
+    source.children.forEach((child, i) => copyOriginalMaterials(child, copy.children[i]));
+}
+
+/**
+ * Prepare a freshly loaded furniture model: shadows on, scaled to its real-world size and seated on its pivot.
+ * With `dimensions` (metres) each axis of the model's bounding box is fitted to them; without, the largest
+ * dimension is scaled to 1 and `root.scale` is left to size it (older layouts).
+ * Pivots: 'centre' puts the bounding box centre on the origin, 'bottom-centre' the middle of its base,
+ * 'origin' keeps the origin the model was authored with.
+ * @returns {THREE.Vector3} The fitted size
+ */
+function normalizeModel(model, dimensions = null, pivot = DEFAULTS.furniture.pivot) {
+    // Enable shadows
+    model.traverse((node) => {
+        if (node.isMesh) {
+            node.castShadow = true;
+            node.receiveShadow = true;
+        }
+    });
+
+    const box = new THREE.Box3().setFromObject(model);
+    const size = box.getSize(new THREE.Vector3());
+
+    if (dimensions) {
+        // Stretch each axis to its declared size; a flat axis (e.g. a rug modelled as a plane) stays as it is
+        ['x', 'y', 'z'].forEach(axis => {
+            if (size[axis] > 0) model.scale[axis] *= dimensions[axis] / size[axis];
+        });
+    } else {
+        // This prevents giant models (millimetres, whole buildings) from "exploding" the view
+        const maxDim = Math.max(size.x, size.y, size.z);
+        if (maxDim > 0) model.scale.multiplyScalar(1.0 / maxDim);
+    }
+
+    // Measure again after scaling: the model's origin need not be its centre
+    box.setFromObject(model);
+    box.getSize(size);
+    const center = box.getCenter(new THREE.Vector3());
+    // We shift the internal model, so the parent 'root' position stays the furniture position
+    if (pivot === 'centre') {
+        model.position.sub(center);
+    } else if (pivot === 'bottom-centre') {
+        model.position.sub(new THREE.Vector3(center.x, box.min.y, center.z));
+    }
+
+    return size;
+}
 
 /**
  * Interface Component acting as the Prototype
@@ -17,10 +87,20 @@ class Wall {
     static geometry = null;
     static material = null;
 
-    constructor(width, height, depth) {
+    /**
+     * @param {number} width Length along the wall's local X axis
+     * @param {number} height
+     * @param {number} depth Thickness
+     * @param {Array} openings Doors / windows: { type, offset, width, sillHeight, headHeight },
+     *   `offset` measured from the wall's start (local -X end)
+     */
+    constructor(width, height, depth, openings = []) {
         this.width = width;
         this.height = height;
         this.depth = depth;
+        this.openings = openings.map(opening => ({ ...opening }));
+        // Level-space { start, end } of free-standing walls (see Wall.fromSegment); null for room walls
+        this.segment = null;
 
         // Initialize shared resources if they don't exist
         if (!Wall.geometry) {
@@ -35,24 +115,192 @@ class Wall {
             });
         }
 
-        // Use shared geometry/material
-        this.mesh = new THREE.Mesh(Wall.geometry, Wall.material);
-        this.mesh.scale.set(width, height, depth); // Scale to dimensions
-        this.mesh.castShadow = true;
-        this.mesh.receiveShadow = true;
-        this.mesh.userData = { entityId: this.generateId(), type: 'Wall' };
+        // Wall.material, or the material of the room's wall finish (see setMaterial)
+        this.material = Wall.material;
+
+        const entityId = this.generateId();
+        if (this.openings.length === 0) {
+            // Use shared geometry/material
+            this.mesh = this.createBlock(width, height, 0, 0);
+        } else {
+            this.mesh = this.createSegmentedMesh();
+        }
+        this.mesh.userData = { entityId, type: 'Wall' };
     }
 
     generateId() {
         return Math.random().toString(36).substr(2, 9);
     }
 
+    /**
+     * Free-standing wall between two level-space points ({x, z}), e.g. from a DXF import
+     */
+    static fromSegment(start, end, height, thickness, openings = []) {
+        const dx = end.x - start.x;
+        const dz = end.z - start.z;
+        const wall = new Wall(Math.hypot(dx, dz), height, thickness, openings);
+        wall.segment = { start: { x: start.x, z: start.z }, end: { x: end.x, z: end.z } };
+        wall.setPosition((start.x + end.x) / 2, height / 2, (start.z + end.z) / 2);
+        wall.setRotation(0, Math.atan2(-dz, dx), 0);
+        return wall;
+    }
+
+    /**
+     * Factory method for free-standing walls (normalized level `walls` entries)
+     */
+    static fromJSON(data) {
+        return Wall.fromSegment(data.start, data.end, data.height, data.thickness, data.openings);
+    }
+
+    /**
+     * Box of the wall's thickness, built from the shared unit cube
+     */
+    createBlock(width, height, x, y) {
+        const block = new THREE.Mesh(Wall.geometry, this.material);
+        block.scale.set(width, height, this.depth); // Scale to dimensions
+        block.position.set(x, y, 0);
+        block.castShadow = true;
+        block.receiveShadow = true;
+        return block;
+    }
+
+    /**
+     * Openings are "cut out" by assembling the wall from blocks around them: full-height piers
+     * between openings plus a sill block below and a lintel block above each one. Every block
+     * reuses the shared unit cube, so walls with openings still share geometry.
+     */
+    createSegmentedMesh() {
+        const group = new THREE.Group();
+        const halfWidth = this.width / 2;
+        const halfHeight = this.height / 2;
+        this.getBlocks().forEach(({ from, to, bottom, top }) => {
+            const block = this.createBlock(to - from, top - bottom, -halfWidth + (from + to) / 2, -halfHeight + (bottom + top) / 2);
+            block.userData = { type: 'Wall' };
+            group.add(block);
+        });
+        return group;
+    }
+
+    /**
+     * Solid parts of the wall as { from, to } ranges along it (from its start) and { bottom, top } heights
+     */
+    getBlocks() {
+        const blocks = [];
+        const addBlock = (from, to, bottom, top) => {
+            if (to - from < 1e-6 || top - bottom < 1e-6) return;
+            blocks.push({ from, to, bottom, top });
+        };
+
+        let cursor = 0;
+        [...this.openings].sort((a, b) => a.offset - b.offset).forEach(opening => {
+            const start = opening.offset;
+            const end = opening.offset + opening.width;
+            addBlock(cursor, start, 0, this.height); // Pier
+            addBlock(start, end, 0, opening.sillHeight); // Sill (windows)
+            addBlock(start, end, opening.headHeight, this.height); // Lintel
+            cursor = Math.max(cursor, end);
+        });
+        addBlock(cursor, this.width, 0, this.height);
+        return blocks;
+    }
+
+    /**
+     * Append the level-space triangles of a free-standing wall to `positions` (x, y, z per vertex).
+     * Blocks at either end reach past the segment by `joint` (see wallJoints) so corners close up.
+     */
+    appendTriangles(positions, joint = { start: { left: 0, right: 0 }, end: { left: 0, right: 0 } }) {
+        const { start, end } = this.segment;
+        const dir = { x: (end.x - start.x) / this.width, z: (end.z - start.z) / this.width };
+        const left = { x: -dir.z, z: dir.x };
+        const half = this.depth / 2;
+        const corner = (along, side, y) => [
+            start.x + dir.x * along + left.x * side * half,
+            y,
+            start.z + dir.z * along + left.z * side * half
+        ];
+        const quad = (a, b, c, d, outward) => {
+            // Wind counter-clockwise seen from outside so computed normals face out
+            const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+            const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+            const normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+            const facing = normal[0] * outward[0] + normal[1] * outward[1] + normal[2] * outward[2];
+            const triangles = facing >= 0 ? [a, b, c, a, c, d] : [a, c, b, a, d, c];
+            triangles.forEach(point => positions.push(...point));
+        };
+
+        this.getBlocks().forEach(({ from, to, bottom, top }) => {
+            const atStart = from < 1e-6;
+            const atEnd = to > this.width - 1e-6;
+            // [start, end] along the wall for the left (+1) and right (-1) faces
+            const range = (side) => {
+                const key = side > 0 ? 'left' : 'right';
+                return [atStart ? -joint.start[key] : from, atEnd ? this.width + joint.end[key] : to];
+            };
+            const [l0, l1] = range(1);
+            const [r0, r1] = range(-1);
+            const p = {
+                sl0: corner(l0, 1, bottom), sl1: corner(l0, 1, top), el0: corner(l1, 1, bottom), el1: corner(l1, 1, top),
+                sr0: corner(r0, -1, bottom), sr1: corner(r0, -1, top), er0: corner(r1, -1, bottom), er1: corner(r1, -1, top)
+            };
+            quad(p.sl0, p.el0, p.el1, p.sl1, [left.x, 0, left.z]);
+            quad(p.sr0, p.er0, p.er1, p.sr1, [-left.x, 0, -left.z]);
+            quad(p.sl1, p.el1, p.er1, p.sr1, [0, 1, 0]);
+            quad(p.sl0, p.el0, p.er0, p.sr0, [0, -1, 0]);
+            quad(p.sl0, p.sl1, p.sr1, p.sr0, [-dir.x, 0, -dir.z]);
+            quad(p.el0, p.el1, p.er1, p.er0, [dir.x, 0, dir.z]);
+        });
+    }
+
     setPosition(x, y, z) {
         this.mesh.position.set(x, y, z);
     }
 
+    setRotation(x, y, z) {
+        this.mesh.rotation.set(x, y, z);
+    }
+
+    /**
+     * Draw every block with `material` (shared, so it is swapped in rather than edited)
+     */
+    setMaterial(material) {
+        this.material = material;
+        this.mesh.traverse(node => {
+            if (node.isMesh) node.material = material;
+        });
+    }
+
+    /**
+     * Free-standing walls serialize as the `{ start, end, height, thickness }` entries of a level's `walls`
+     */
+    toJSON() {
+        if (this.segment) {
+            const segmentJson = {
+                start: { ...this.segment.start },
+                end: { ...this.segment.end },
+                height: this.height,
+                thickness: this.depth
+            };
+            if (this.openings.length > 0) {
+                segmentJson.openings = this.openings.map(opening => ({ ...opening }));
+            }
+            return segmentJson;
+        }
+        const json = {
+            width: this.width,
+            height: this.height,
+            depth: this.depth,
+            position: vectorToJSON(this.mesh.position),
+            rotation: vectorToJSON(this.mesh.rotation)
+        };
+        if (this.openings.length > 0) {
+            json.openings = this.openings.map(opening => ({ ...opening }));
+        }
+        return json;
+    }
+
     clone() {
-        const clonedWall = new Wall(this.width, this.height, this.depth);
+        const clonedWall = new Wall(this.width, this.height, this.depth, this.openings);
+        clonedWall.segment = this.segment && { start: { ...this.segment.start }, end: { ...this.segment.end } };
         clonedWall.mesh.position.copy(this.mesh.position);
         clonedWall.mesh.rotation.copy(this.mesh.rotation);
         clonedWall.mesh.userData.entityId = this.generateId();
@@ -92,6 +340,22 @@ class Furniture {
         this.root = new THREE.Group();
         this.root.add(this.mesh); // Add placeholder initially
         this.root.userData = { entityId: this.generateId(), type: 'Furniture', name: name };
+
+        // URL of the cached asset this furniture holds a reference on (null while showing the placeholder)
+        this.assetUrl = null;
+        // Distance-based variants of the model: [{ modelUrl, distance }] (see the layout schema)
+        this.lod = [];
+        // Real-world size in metres the model is fitted to ({ x, y, z } or null) and what its position marks
+        this.dimensions = null;
+        this.pivot = DEFAULTS.furniture.pivot;
+        // Finish ids by material slot (see shared/finishes.js)
+        this.finishes = {};
+        // Cached LOD variant assets this furniture holds references on
+        this.lodAssetUrls = [];
+        this.loading = false;
+        this.disposed = false;
+        // Size of the mesh before `root.scale` (the placeholder box until a model is loaded)
+        this.baseSize = new THREE.Vector3(2, 2, 2);
     }
 
     generateId() {
@@ -110,89 +374,213 @@ class Furniture {
         this.root.rotation.set(x, y, z);
     }
 
+    /**
+     * Declare the real-world size and pivot; the placeholder box takes them on until the model is loaded
+     */
+    setDimensions(dimensions, pivot = this.pivot) {
+        this.dimensions = dimensions && { x: dimensions.x, y: dimensions.y, z: dimensions.z };
+        this.pivot = pivot;
+        if (this.assetUrl) return;
+        const size = this.dimensions ? new THREE.Vector3().copy(this.dimensions) : new THREE.Vector3(2, 2, 2);
+        // The placeholder geometry is a 2 x 2 x 2 box around the origin
+        this.mesh.scale.copy(size).divideScalar(2);
+        this.mesh.position.set(0, pivot === 'centre' ? 0 : size.y / 2, 0);
+        this.baseSize.copy(size);
+    }
+
+    /**
+     * Names of the loaded model's materials: the slots `finishes` can name besides ALL_MATERIALS
+     */
+    getMaterialSlots() {
+        const slots = new Set();
+        if (!this.assetUrl) return [];
+        this.root.traverse(node => {
+            if (!node.isMesh) return;
+            [].concat(originalMaterials.get(node) || node.material).forEach(material => {
+                if (material.name) slots.add(material.name);
+            });
+        });
+        return [...slots];
+    }
+
+    /**
+     * @param {string} slot Material name or ALL_MATERIALS
+     * @param {string|null} id Finish id, or null for the model's own material
+     */
+    setFinish(slot, id) {
+        if (id) {
+            this.finishes[slot] = id;
+        } else {
+            delete this.finishes[slot];
+        }
+        this.applyFinishes();
+    }
+
+    /**
+     * Point every mesh at the material of its slot's finish, or back at its own. Model materials are shared
+     * with all other copies of the model (and the master layout), so they are swapped, never edited.
+     */
+    applyFinishes() {
+        const finished = (material) => {
+            const id = this.finishes[material.name] ?? this.finishes[ALL_MATERIALS];
+            return (id && finishMaterial(id)) || material;
+        };
+        this.root.traverse(node => {
+            if (!node.isMesh) return;
+            if (!originalMaterials.has(node)) originalMaterials.set(node, node.material);
+            const original = originalMaterials.get(node);
+            node.material = Array.isArray(original) ? original.map(finished) : finished(original);
+        });
+    }
+
+    /**
+     * Current size in metres (x, y, z of the scaled mesh, ignoring rotation)
+     */
+    getSize() {
+        return this.baseSize.clone().multiply(this.root.scale);
+    }
+
     /**
      * Async Load Model
+     * The parsed asset comes from the shared AssetCache: identical models are downloaded once and share
+     * geometry/materials. Each loaded furniture holds one reference until dispose().
+     * With `lod` variants the model is shown through a THREE.LOD that switches to them with camera distance.
      */
     async loadModel(loader) {
-        if (!this.modelUrl) return;
+        if (!this.modelUrl || this.assetUrl || this.loading) return;
 
+        this.loading = true;
         try {
-            const gltf = await loader.loadAsync(this.modelUrl);
-            const model = gltf.scene;
-
-            // Enable shadows
-            model.traverse((node) => {
-                if (node.isMesh) {
-                    node.castShadow = true;
-                    node.receiveShadow = true;
-                }
-            });
-
-            // --- NORMALIZATION START ---
-            // Auto-Center and normalize scale to fit in a 1x1x1 box roughly, then apply this.scale.
-            // This prevents giant models from "exploding" the view.
-
-            const box = new THREE.Box3().setFromObject(model);
-            const size = new THREE.Vector3();
-            box.getSize(size);
-            const center = new THREE.Vector3();
-            box.getCenter(center);
-
-            // Center the model geometry
-            model.position.sub(center);
-            // Important: we shift the internal model, so the parent 'root' position is still valid.
-
-            // Optional: Auto-scale if model is huge or tiny
-            // Let's normalize it so the largest dimension is approx 1 unit, 
-            // then we rely on this.root.scale to size it up to real-world meters.
-            // However, our JSON scale is roughly "meters" if the base is 1.
-            // Most GLTF models are in meters, but some are millimeters or arbitrary.
-
-            // Heuristic: If largest dim > 10, it's probably wrong scale (mm), or huge building.
-            // If < 0.1, it's probably too small.
-            // For safety in this demo, let's normalize base to max dim = 1.
-
-            const maxDim = Math.max(size.x, size.y, size.z);
-            if (maxDim > 0) {
-                const scaleFactor = 1.0 / maxDim;
-                model.scale.multiplyScalar(scaleFactor);
+            const model = await assetCache.acquire(this.modelUrl, loader);
+            const variants = await this.loadLodModels(loader);
+            if (this.disposed) {
+                // Disposed while the asset was loading: hand the references straight back
+                assetCache.release(this.modelUrl);
+                variants.forEach(variant => assetCache.release(variant.url));
+                return;
+            }
+            this.assetUrl = this.modelUrl;
+            this.lodAssetUrls = variants.map(variant => variant.url);
+
+            this.baseSize.copy(normalizeModel(model, this.dimensions, this.pivot));
+
+            let display = model;
+            if (variants.length > 0) {
+                display = new THREE.LOD();
+                display.addLevel(model, 0);
+                variants.forEach(variant => {
+                    normalizeModel(variant.model, this.dimensions, this.pivot);
+                    display.addLevel(variant.model, variant.distance);
+                });
             }
-
-            // --- NORMALIZATION END ---
 
             // Replace placeholder with real model
             this.root.remove(this.mesh);
-            this.root.add(model);
-            this.mesh = model;
+            this.root.add(display);
+            this.mesh = display;
+            this.applyFinishes();
 
             console.log(`Loaded and normalized model for ${this.name}`);
         } catch (err) {
             console.error(`Failed to load model for ${this.name}`, err);
+        } finally {
+            this.loading = false;
         }
     }
 
+    /**
+     * Acquire the LOD variants from the AssetCache; variants that fail to load are left out
+     * @returns {Promise<Array>} [{ url, model, distance }]
+     */
+    async loadLodModels(loader) {
+        const variants = await Promise.all(this.lod.map(async ({ modelUrl, distance }) => {
+            try {
+                return { url: modelUrl, model: await assetCache.acquire(modelUrl, loader), distance };
+            } catch (err) {
+                console.error(`Failed to load LOD model ${modelUrl} for ${this.name}`, err);
+                return null;
+            }
+        }));
+        return variants.filter(Boolean);
+    }
+
     /**
      * Factory method to create instance from JSON data
+     * Throws LayoutValidationError for malformed data; defaults come from the shared schema.
      */
-    static fromJSON(data) {
+    static fromJSON(json) {
+        const data = normalizeFurniture(json);
         const furniture = new Furniture(data.name, data.type, data.modelUrl);
-        if (data.position) furniture.setPosition(data.position.x, data.position.y, data.position.z);
-        if (data.rotation) furniture.setRotation(data.rotation.x, data.rotation.y, data.rotation.z);
-        if (data.scale) furniture.setScale(data.scale.x, data.scale.y, data.scale.z);
+        furniture.setPosition(data.position.x, data.position.y, data.position.z);
+        furniture.setRotation(data.rotation.x, data.rotation.y, data.rotation.z);
+        furniture.setScale(data.scale.x, data.scale.y, data.scale.z);
+        furniture.lod = data.lod.map(variant => ({ ...variant }));
+        furniture.setDimensions(data.dimensions, data.pivot);
+        furniture.finishes = { ...data.finishes };
+        furniture.applyFinishes();
         return furniture;
     }
 
+    /**
+     * Serialize back to the JSON consumed by fromJSON, using the current (possibly edited) transform
+     */
+    toJSON() {
+        const json = {
+            name: this.name,
+            type: this.type,
+            modelUrl: this.modelUrl,
+            position: vectorToJSON(this.root.position),
+            rotation: vectorToJSON(this.root.rotation),
+            scale: vectorToJSON(this.root.scale)
+        };
+        if (this.lod.length > 0) {
+            json.lod = this.lod.map(variant => ({ ...variant }));
+        }
+        if (this.dimensions) {
+            json.dimensions = { ...this.dimensions };
+        }
+        if (this.pivot !== DEFAULTS.furniture.pivot) {
+            json.pivot = this.pivot;
+        }
+        if (Object.keys(this.finishes).length > 0) {
+            json.finishes = { ...this.finishes };
+        }
+        return json;
+    }
+
     /**
      * Deep Clone
      */
     clone() {
         // Create new instance with same metadata
         const clonedFurniture = new Furniture(this.name, this.type, this.modelUrl);
+        clonedFurniture.lod = this.lod.map(variant => ({ ...variant }));
+        clonedFurniture.dimensions = this.dimensions && { ...this.dimensions };
+        clonedFurniture.pivot = this.pivot;
+        clonedFurniture.finishes = { ...this.finishes };
 
         // Deep Clone the visual root using SkeletonUtils for GLTF support
         const clonedRoot = SkeletonUtils.clone(this.root);
+        // The clone rebuilds its rotation from the quaternion, which can yield a different but equivalent Euler
+        // (y: 3.14 comes back as x: -π, y: 0.0016, z: -π). Copy the transform as authored so toJSON() matches.
+        clonedRoot.position.copy(this.root.position);
+        clonedRoot.rotation.copy(this.root.rotation);
+        clonedRoot.scale.copy(this.root.scale);
 
         clonedFurniture.root = clonedRoot;
+        // Point at the cloned counterpart of our mesh (placeholder or loaded model)
+        clonedFurniture.mesh = clonedRoot.children[this.root.children.indexOf(this.mesh)] || clonedFurniture.mesh;
+        clonedFurniture.baseSize.copy(this.baseSize);
+        // The copy already shows the same finishes; it needs the original materials to swap them later
+        copyOriginalMaterials(this.root, clonedRoot);
+
+        // The cloned model shares the cached geometry/materials, so it holds its own reference
+        if (this.assetUrl) {
+            assetCache.retain(this.assetUrl);
+            clonedFurniture.assetUrl = this.assetUrl;
+        }
+        this.lodAssetUrls.forEach(url => assetCache.retain(url));
+        clonedFurniture.lodAssetUrls = [...this.lodAssetUrls];
 
         // IMPORTANT: Update unique ID
         clonedFurniture.root.userData.entityId = this.generateId();
@@ -203,69 +591,179 @@ class Furniture {
     }
 
     dispose() {
-        // If the mesh is NOT the shared placeholder, it's a loaded model -> dipose it
-        if (this.mesh && this.mesh !== Furniture.placeholderGeometry && this.modelUrl) {
-            this.mesh.traverse((node) => {
-                if (node.isMesh) {
-                    if (node.geometry) node.geometry.dispose();
-                    if (node.material) {
-                        if (Array.isArray(node.material)) {
-                            node.material.forEach(m => m.dispose());
-                        } else {
-                            node.material.dispose();
-                        }
-                    }
-                }
-            });
+        this.disposed = true;
+        // Geometry and materials belong to the asset cache; they are freed once the last user releases them
+        if (this.assetUrl) {
+            assetCache.release(this.assetUrl);
+            this.assetUrl = null;
         }
+        this.lodAssetUrls.forEach(url => assetCache.release(url));
+        this.lodAssetUrls = [];
     }
 }
 
 class Room {
-    constructor(name, width = 20, depth = 20) {
+    // Shared floor material of rooms without a floor finish
+    static floorMaterial = null;
+
+    // Lifts the floor just clear of the ground plane so the two never z-fight
+    static FLOOR_OFFSET = 0.005;
+
+    /**
+     * @param {object} options
+     * @param {Array} [options.footprint] Polygon of {x, z} points; when omitted the room is a width x depth rectangle
+     * @param {number} [options.wallHeight]
+     * @param {number} [options.wallThickness]
+     * @param {Array} [options.openings] Doors / windows, `wall` is the footprint edge index
+     * @param {object} [options.position] { x, z } placement on the level
+     * @param {number} [options.rotation] Radians about the vertical axis
+     * @param {Array} [options.sharedWalls] Wall stretches owned by a neighbouring room (set by Level.resolveAdjacency)
+     * @param {Array} [options.adoptedOpenings] Neighbour openings cut into this room's shared walls
+     * @param {object} [options.finishes] Finish ids by surface: { walls, floor } (see shared/finishes.js)
+     */
+    constructor(name, width = DEFAULTS.room.width, depth = DEFAULTS.room.depth, options = {}) {
         this.name = name;
         this.width = width;
         this.depth = depth;
+        this.footprint = options.footprint ? options.footprint.map(p => ({ x: p.x, z: p.z })) : null;
+        this.wallHeight = options.wallHeight ?? DEFAULTS.room.wallHeight;
+        this.wallThickness = options.wallThickness ?? DEFAULTS.room.wallThickness;
+        this.openings = (options.openings || []).map(opening => ({ ...opening }));
+        this.sharedWalls = (options.sharedWalls || []).map(stretch => ({ ...stretch }));
+        this.adoptedOpenings = (options.adoptedOpenings || []).map(opening => ({ ...opening }));
+        this.finishes = { ...options.finishes };
         this.furnitureList = [];
         this.walls = [];
+        this.floor = null;
         this.group = new THREE.Group();
         this.group.userData = { entityId: this.generateId(), type: 'Room', name: name };
 
+        const position = options.position || DEFAULTS.room.position;
+        this.group.position.set(position.x, 0, position.z);
+        this.group.rotation.y = options.rotation ?? DEFAULTS.room.rotation;
+
+        if (!Room.floorMaterial) {
+            Room.floorMaterial = new THREE.MeshStandardMaterial({ color: 0xbdb6a8, roughness: 0.9 });
+        }
+
         // Generate Walls automatically
         this.generateWalls();
+        this.generateFloor();
     }
 
     generateId() {
         return Math.random().toString(36).substr(2, 9);
     }
 
+    /**
+     * One wall per footprint edge. Walls are extended by half their thickness at outer corners so they close.
+     * Stretches listed in `sharedWalls` are left out: the neighbouring room that owns them builds that wall once.
+     */
     generateWalls() {
-        const h = 3.5; // Wall Height (Increased slightly from 2.5 as requested)
-        const t = 0.5; // Wall Thickness
+        const h = this.wallHeight;
+        const t = this.wallThickness;
+        const openings = [...this.openings, ...this.adoptedOpenings];
 
         // Remove old walls if any
         this.walls.forEach(w => this.group.remove(w.mesh));
         this.walls = [];
 
-        // 1. Back Wall
-        const back = new Wall(this.width, h, t);
-        back.setPosition(0, h / 2, -this.depth / 2);
-        this.addWall(back);
+        footprintEdges(roomFootprint(this)).forEach(edge => {
+            const dx = (edge.end.x - edge.start.x) / edge.length;
+            const dz = (edge.end.z - edge.start.z) / edge.length;
+            const skipped = this.sharedWalls
+                .filter(stretch => stretch.wall === edge.index)
+                .map(stretch => [stretch.from, stretch.to]);
+
+            subtractIntervals(0, edge.length, skipped).forEach(([from, to]) => {
+                const startExtension = from < 1e-6 ? t / 2 : 0;
+                const endExtension = to > edge.length - 1e-6 ? t / 2 : 0;
+                const wallStart = from - startExtension;
+
+                // Edge offsets become wall offsets relative to where this wall piece starts
+                const wallOpenings = openings
+                    .filter(opening => {
+                        const centre = opening.offset + opening.width / 2;
+                        return opening.wall === edge.index && centre >= from && centre <= to;
+                    })
+                    .map(({ wall, fromRoom, ...opening }) => ({ ...opening, offset: opening.offset - wallStart }));
+
+                const wall = new Wall(to - from + startExtension + endExtension, h, t, wallOpenings);
+                wall.setMaterial(this.surfaceMaterial('walls'));
+                const centre = wallStart + wall.width / 2;
+                wall.setPosition(edge.start.x + dx * centre, h / 2, edge.start.z + dz * centre);
+                wall.setRotation(0, Math.atan2(-dz, dx), 0);
+                this.addWall(wall);
+            });
+        });
+    }
+
+    /**
+     * Floor of the footprint, level with the top of the slab. Its texture coordinates are in metres, so tiles and
+     * planks keep their real size.
+     */
+    generateFloor() {
+        if (this.floor) {
+            this.group.remove(this.floor);
+            this.floor.geometry.dispose();
+        }
+        // The shape is drawn in the XY plane and laid flat, which turns its Y into -Z
+        const shape = new THREE.Shape(roomFootprint(this).map(p => new THREE.Vector2(p.x, -p.z)));
+        this.floor = new THREE.Mesh(new THREE.ShapeGeometry(shape), this.surfaceMaterial('floor'));
+        this.floor.rotation.x = -Math.PI / 2;
+        this.floor.position.y = Room.FLOOR_OFFSET;
+        this.floor.receiveShadow = true;
+        this.floor.userData = { type: 'Floor' };
+        this.group.add(this.floor);
+    }
+
+    /**
+     * Material of a surface ('walls' or 'floor'): that of its finish, else the shared default
+     */
+    surfaceMaterial(surface) {
+        const id = this.finishes[surface];
+        const material = id && finishMaterial(id, surface === 'floor');
+        return material || (surface === 'walls' ? Wall.material : Room.floorMaterial);
+    }
 
-        // 2. Front Wall
-        const front = new Wall(this.width, h, t);
-        front.setPosition(0, h / 2, this.depth / 2);
-        this.addWall(front);
+    /**
+     * Assign a finish to a surface. Wall stretches shared with a neighbour are built, and finished, by the room
+     * that owns them.
+     * @param {string} surface 'walls' or 'floor'
+     * @param {string|null} id Finish id, or null for the default
+     */
+    setFinish(surface, id) {
+        if (id) {
+            this.finishes[surface] = id;
+        } else {
+            delete this.finishes[surface];
+        }
+        if (surface === 'walls') {
+            this.walls.forEach(wall => wall.setMaterial(this.surfaceMaterial('walls')));
+        } else {
+            this.floor.material = this.surfaceMaterial('floor');
+        }
+    }
 
-        // 3. Left Wall
-        const left = new Wall(t, h, this.depth);
-        left.setPosition(-this.width / 2, h / 2, 0);
-        this.addWall(left);
+    /**
+     * Apply the result of Level.resolveAdjacency and rebuild the walls
+     */
+    setSharedWalls(sharedWalls, adoptedOpenings) {
+        this.sharedWalls = sharedWalls.map(stretch => ({ ...stretch }));
+        this.adoptedOpenings = adoptedOpenings.map(opening => ({ ...opening }));
+        this.generateWalls();
+    }
 
-        // 4. Right Wall
-        const right = new Wall(t, h, this.depth);
-        right.setPosition(this.width / 2, h / 2, 0);
-        this.addWall(right);
+    /**
+     * Plan description used by the shared adjacency analysis
+     */
+    getPlan() {
+        return {
+            footprint: roomFootprint(this),
+            position: { x: this.group.position.x, z: this.group.position.z },
+            rotation: this.group.rotation.y,
+            openings: this.openings
+        };
     }
 
     addWall(wall) {
@@ -273,30 +771,88 @@ class Room {
         this.group.add(wall.mesh);
     }
 
-    addFurniture(furniture) {
-        this.furnitureList.push(furniture);
+    /**
+     * @param {number} [index] Position in `furnitureList` (appended by default)
+     */
+    addFurniture(furniture, index = this.furnitureList.length) {
+        this.furnitureList.splice(index, 0, furniture);
         this.group.add(furniture.root);
     }
 
+    /**
+     * Takes the furniture out of the room and releases its resources
+     */
+    removeFurniture(furniture) {
+        const index = this.furnitureList.indexOf(furniture);
+        if (index === -1) return;
+        this.furnitureList.splice(index, 1);
+        this.group.remove(furniture.root);
+        furniture.dispose();
+    }
+
     /**
      * Factory method to create instance from JSON data
      */
-    static fromJSON(data) {
-        const room = new Room(data.name, data.width, data.depth);
-        if (data.furniture) {
-            data.furniture.forEach(itemData => {
-                const furniture = Furniture.fromJSON(itemData);
-                room.addFurniture(furniture);
-            });
-        }
+    static fromJSON(json) {
+        const data = normalizeRoom(json);
+        const room = new Room(data.name, data.width, data.depth, {
+            footprint: data.footprint,
+            wallHeight: data.wallHeight,
+            wallThickness: data.wallThickness,
+            openings: data.openings,
+            position: data.position,
+            rotation: data.rotation,
+            finishes: data.finishes
+        });
+        data.furniture.forEach(itemData => {
+            const furniture = Furniture.fromJSON(itemData);
+            room.addFurniture(furniture);
+        });
         return room;
     }
 
+    /**
+     * Walls are derived from the footprint (or width/depth), so they are not serialized.
+     */
+    toJSON() {
+        const json = { name: this.name };
+        if (this.footprint) {
+            json.footprint = this.footprint.map(p => ({ ...p }));
+        } else {
+            json.width = this.width;
+            json.depth = this.depth;
+        }
+        if (this.group.position.x !== 0 || this.group.position.z !== 0) {
+            json.position = { x: this.group.position.x, z: this.group.position.z };
+        }
+        if (this.group.rotation.y !== 0) json.rotation = this.group.rotation.y;
+        if (this.wallHeight !== DEFAULTS.room.wallHeight) json.wallHeight = this.wallHeight;
+        if (this.wallThickness !== DEFAULTS.room.wallThickness) json.wallThickness = this.wallThickness;
+        if (this.openings.length > 0) json.openings = this.openings.map(opening => ({ ...opening }));
+        if (Object.keys(this.finishes).length > 0) json.finishes = { ...this.finishes };
+        json.furniture = this.furnitureList.map(item => item.toJSON());
+        return json;
+    }
+
+    getOptions() {
+        return {
+            footprint: this.footprint,
+            wallHeight: this.wallHeight,
+            wallThickness: this.wallThickness,
+            openings: this.openings,
+            position: { x: this.group.position.x, z: this.group.position.z },
+            rotation: this.group.rotation.y,
+            sharedWalls: this.sharedWalls,
+            adoptedOpenings: this.adoptedOpenings,
+            finishes: this.finishes
+        };
+    }
+
     /**
      * Deep Clone
      */
     clone() {
-        const clonedRoom = new Room(this.name, this.width, this.depth);
+        const clonedRoom = new Room(this.name, this.width, this.depth, this.getOptions());
 
         // Clone Furniture
         this.furnitureList.forEach(item => {
@@ -304,12 +860,11 @@ class Room {
             clonedRoom.addFurniture(clonedItem);
         });
 
-        // Copy room transform
-        clonedRoom.group.position.copy(this.group.position);
+        // Room transform is copied through getOptions()
         clonedRoom.group.userData.entityId = this.generateId();
 
-        // Note: Walls are generated by constructor, so they are fresh and correct size. 
-        // No need to manually clone them unless we support custom wall modifications.
+        // Note: Walls are generated by constructor from the same footprint/openings, so they are fresh
+        // and correct size while still sharing the static unit geometry.
 
         return clonedRoom;
     }
@@ -317,24 +872,385 @@ class Room {
     dispose() {
         // Dispose walls
         this.walls.forEach(w => w.dispose());
+        // The floor geometry is this room's own; its material is shared
+        if (this.floor) this.floor.geometry.dispose();
         // Dispose furniture
         this.furnitureList.forEach(f => f.dispose());
     }
 }
 
+class Level {
+    // Shared slab resources (unit cube scaled to the level's extent)
+    static slabGeometry = null;
+    static slabMaterial = null;
+
+    // Keeps the slab's top face just below the floor so it never z-fights with the ground plane
+    static SLAB_GAP = 0.01;
+
+    /**
+     * @param {string} name
+     * @param {number} elevation Height of the finished floor
+     * @param {object} options { ceilingHeight, slabThickness }
+     */
+    constructor(name, elevation = DEFAULTS.level.elevation, options = {}) {
+        this.name = name;
+        this.elevation = elevation;
+        this.ceilingHeight = options.ceilingHeight ?? DEFAULTS.level.ceilingHeight;
+        this.slabThickness = options.slabThickness ?? DEFAULTS.level.slabThickness;
+        this.rooms = [];
+        // Free-standing walls that do not belong to a room (Wall.fromSegment), drawn as one merged mesh
+        this.walls = [];
+        this.wallMesh = null;
+        // Doors between rooms of this level, as room indices ({ from, to, wall, opening }, `to` null = outside)
+        this.connections = [];
+        this.slab = null;
+        this.group = new THREE.Group();
+        this.group.position.y = elevation;
+        this.group.userData = { entityId: this.generateId(), type: 'Level', name: name };
+
+        if (!Level.slabGeometry) {
+            Level.slabGeometry = new THREE.BoxGeometry(1, 1, 1);
+        }
+        if (!Level.slabMaterial) {
+            Level.slabMaterial = new THREE.MeshStandardMaterial({ color: 0x9e9e9e, roughness: 0.9 });
+        }
+    }
+
+    generateId() {
+        return Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Call resolveAdjacency() once all rooms are added so shared walls are only built once.
+     */
+    addRoom(room) {
+        this.rooms.push(room);
+        this.group.add(room.group);
+        this.generateSlab();
+    }
+
+    addWall(wall) {
+        this.addWalls([wall]);
+    }
+
+    /**
+     * Adds several free-standing walls, rebuilding the merged wall mesh once
+     */
+    addWalls(walls) {
+        this.walls.push(...walls);
+        this.updateWallMesh();
+        this.generateSlab();
+    }
+
+    /**
+     * All free-standing walls share one geometry (a single draw call) and the shared wall material.
+     * Corners where walls meet are mitred (see wallJoints).
+     */
+    updateWallMesh() {
+        if (this.wallMesh) {
+            this.group.remove(this.wallMesh);
+            this.wallMesh.geometry.dispose();
+            this.wallMesh = null;
+        }
+        if (this.walls.length === 0) return;
+
+        const joints = wallJoints(this.walls.map(wall => ({ ...wall.segment, thickness: wall.depth })));
+        const positions = [];
+        this.walls.forEach((wall, i) => wall.appendTriangles(positions, joints[i]));
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.computeVertexNormals();
+        this.wallMesh = new THREE.Mesh(geometry, Wall.material);
+        this.wallMesh.castShadow = true;
+        this.wallMesh.receiveShadow = true;
+        this.wallMesh.userData = { type: 'Wall' };
+        this.group.add(this.wallMesh);
+    }
+
+    /**
+     * Detect walls shared between rooms of this level (each is generated by one room only)
+     * and rebuild the door connectivity.
+     */
+    resolveAdjacency() {
+        const analysis = analyzeAdjacency(this.rooms.map(room => room.getPlan()));
+        this.rooms.forEach((room, i) => {
+            room.setSharedWalls(analysis.rooms[i].skipped, analysis.rooms[i].adopted);
+        });
+        this.connections = analysis.connections;
+    }
+
+    /**
+     * Resize a rectangular room about its centre; shared walls, connections and the slab follow
+     */
+    resizeRoom(room, width, depth) {
+        if (room.footprint) {
+            throw new Error(`Room ${room.name} has a footprint; only rectangular rooms can be resized.`);
+        }
+        room.width = width;
+        room.depth = depth;
+        room.generateFloor();
+        this.resolveAdjacency();
+        this.generateSlab();
+    }
+
+    /**
+     * Display offset on top of the real elevation (used to explode levels vertically in the viewer)
+     */
+    setDisplayOffset(offset) {
+        this.group.position.y = this.elevation + offset;
+    }
+
+    /**
+     * Floor slab under the bounding rectangle of all room footprints and free-standing walls (in level space)
+     */
+    generateSlab() {
+        if (this.slab) {
+            this.group.remove(this.slab);
+            this.slab = null;
+        }
+        if (this.slabThickness <= 0 || (this.rooms.length === 0 && this.walls.length === 0)) return;
+
+        const bounds = new THREE.Box3();
+        const point = new THREE.Vector3();
+        this.rooms.forEach(room => {
+            room.group.updateMatrix();
+            roomFootprint(room).forEach(p => {
+                bounds.expandByPoint(point.set(p.x, 0, p.z).applyMatrix4(room.group.matrix));
+            });
+            // Include the outer half of the walls
+            bounds.expandByScalar(room.wallThickness / 2);
+        });
+        this.walls.forEach(wall => {
+            bounds.expandByPoint(point.set(wall.segment.start.x, 0, wall.segment.start.z));
+            bounds.expandByPoint(point.set(wall.segment.end.x, 0, wall.segment.end.z));
+        });
+
+        this.slab = new THREE.Mesh(Level.slabGeometry, Level.slabMaterial);
+        this.slab.scale.set(bounds.max.x - bounds.min.x, this.slabThickness, bounds.max.z - bounds.min.z);
+        this.slab.position.set(
+            (bounds.min.x + bounds.max.x) / 2,
+            -this.slabThickness / 2 - Level.SLAB_GAP,
+            (bounds.min.z + bounds.max.z) / 2
+        );
+        this.slab.receiveShadow = true;
+        this.slab.userData = { type: 'Slab' };
+        this.group.add(this.slab);
+    }
+
+    /**
+     * Factory method to create instance from (normalized) level data
+     */
+    static fromJSON(json) {
+        const data = normalizeLevel(json);
+        const level = new Level(data.name, data.elevation, {
+            ceilingHeight: data.ceilingHeight,
+            slabThickness: data.slabThickness
+        });
+        data.rooms.forEach(roomData => level.addRoom(Room.fromJSON(roomData)));
+        level.addWalls(data.walls.map(wallData => Wall.fromJSON(wallData)));
+        level.resolveAdjacency();
+        return level;
+    }
+
+    /**
+     * Rooms and walls only carry a height when it differs from this level's ceiling height
+     */
+    toJSON() {
+        const json = {
+            name: this.name,
+            elevation: this.elevation,
+            ceilingHeight: this.ceilingHeight,
+            slabThickness: this.slabThickness,
+            rooms: this.rooms.map(room => {
+                const roomJson = room.toJSON();
+                if (room.wallHeight === this.ceilingHeight) {
+                    delete roomJson.wallHeight;
+                } else {
+                    roomJson.wallHeight = room.wallHeight;
+                }
+                return roomJson;
+            })
+        };
+        if (this.walls.length > 0) {
+            json.walls = this.walls.map(wall => this.wallToJSON(wall));
+        }
+        return json;
+    }
+
+    /**
+     * @param {number} ceilingHeight Height the wall inherits when read back (flat documents use the default level's)
+     */
+    wallToJSON(wall, ceilingHeight = this.ceilingHeight) {
+        const json = wall.toJSON();
+        if (json.height === ceilingHeight) delete json.height;
+        if (json.thickness === DEFAULTS.wall.thickness) delete json.thickness;
+        return json;
+    }
+
+    /**
+     * Deep Clone
+     */
+    clone() {
+        const clonedLevel = new Level(this.name, this.elevation, {
+            ceilingHeight: this.ceilingHeight,
+            slabThickness: this.slabThickness
+        });
+        // Rooms carry their shared-wall state, so the adjacency does not need to be recomputed
+        this.rooms.forEach(room => clonedLevel.addRoom(room.clone()));
+        clonedLevel.addWalls(this.walls.map(wall => wall.clone()));
+        clonedLevel.connections = this.connections.map(connection => ({ ...connection }));
+        clonedLevel.group.position.y = this.group.position.y;
+        return clonedLevel;
+    }
+
+    dispose() {
+        // Slab geometry/material are shared statics; the merged wall geometry is this level's own
+        this.rooms.forEach(r => r.dispose());
+        this.walls.forEach(w => w.dispose());
+        if (this.wallMesh) this.wallMesh.geometry.dispose();
+    }
+}
+
 class Layout3D {
     constructor(id, description) {
         this.id = id;
         this.description = description;
-        this.rooms = [];
+        this.levels = [];
+        // Documents written with flat `rooms` are serialized back the same way while they have a single level
+        this.usesLevels = false;
         this.cameraView = null; // Default camera settings
+        this.bookmarks = []; // Named viewpoints { id, name, position, target }
+        this.tours = []; // Guided tours { id, name, stops: [{ bookmark, caption, transition, dwell }] }
+        this.source = null; // Where an imported layout came from (e.g. DXF file, units and scale)
         this.group = new THREE.Group();
         this.group.userData = { entityId: id, type: 'Layout3D', isMaster: true };
     }
 
+    /**
+     * All rooms across levels
+     */
+    get rooms() {
+        return this.levels.flatMap(level => level.rooms);
+    }
+
+    addLevel(level) {
+        this.levels.push(level);
+        this.group.add(level.group);
+    }
+
+    /**
+     * Adds to the first level, creating it for single-storey layouts
+     */
     addRoom(room) {
-        this.rooms.push(room);
-        this.group.add(room.group);
+        if (this.levels.length === 0) {
+            this.addLevel(new Level('Level 1'));
+        }
+        this.levels[0].addRoom(room);
+        this.levels[0].resolveAdjacency();
+    }
+
+    /**
+     * Room graph across all levels: nodes are rooms, edges are doors between them.
+     * Edges with `to: null` are doors leading outside.
+     */
+    getConnectivity() {
+        const nodes = [];
+        const edges = [];
+        this.levels.forEach(level => {
+            const base = nodes.length;
+            level.rooms.forEach(room => {
+                nodes.push({ id: room.group.userData.entityId, name: room.name, level: level.name, room });
+            });
+            level.connections.forEach(connection => {
+                edges.push({
+                    from: base + connection.from,
+                    to: connection.to === null ? null : base + connection.to,
+                    door: connection.opening
+                });
+            });
+        });
+        return { nodes, edges };
+    }
+
+    /**
+     * Rooms reachable from `room` through a single door
+     */
+    getConnectedRooms(room) {
+        const { nodes, edges } = this.getConnectivity();
+        const index = nodes.findIndex(node => node.room === room);
+        const connected = new Set();
+        edges.forEach(edge => {
+            if (edge.to === null) return;
+            if (edge.from === index) connected.add(nodes[edge.to].room);
+            if (edge.to === index) connected.add(nodes[edge.from].room);
+        });
+        return [...connected];
+    }
+
+    /**
+     * Furniture placement problems (overlaps, walls, narrow walkways; see shared/placementValidation.js) of the
+     * layout as it is now, measured with the loaded models' real sizes. Each issue also lists the `entityIds`
+     * of the furniture involved.
+     * @param {object} [options] Overrides of PLACEMENT_DEFAULTS (e.g. minClearance)
+     */
+    checkPlacement(options = {}) {
+        const furnitureAt = (at) => this.levels[at.level].rooms[at.room].furnitureList[at.furniture];
+        const { issues } = checkPlacement(this.toJSON(), {
+            ...options,
+            furnitureSize: (item, at) => vectorToJSON(furnitureAt(at).getSize())
+        });
+        return issues.map(issue => ({
+            ...issue,
+            entityIds: issue.items.map(item => furnitureAt(item).root.userData.entityId)
+        }));
+    }
+
+    /**
+     * Furniture whose root carries `entityId`, with the room and level holding it
+     * @returns {{ furniture: Furniture, room: Room, level: Level } | null}
+     */
+    findFurniture(entityId) {
+        for (const level of this.levels) {
+            for (const room of level.rooms) {
+                const furniture = room.furnitureList.find(item => item.root.userData.entityId === entityId);
+                if (furniture) return { furniture, room, level };
+            }
+        }
+        return null;
+    }
+
+    setCameraView(position, target) {
+        this.cameraView = {
+            position: vectorToJSON(position),
+            target: vectorToJSON(target)
+        };
+    }
+
+    getBookmark(id) {
+        return this.bookmarks.find(bookmark => bookmark.id === id) || null;
+    }
+
+    /**
+     * Store a camera position / target as a named viewpoint; its id is derived from the name
+     */
+    addBookmark(name, position, target) {
+        const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'view';
+        let id = base;
+        for (let i = 2; this.getBookmark(id); i++) id = `${base}-${i}`;
+        const bookmark = { id, name, position: vectorToJSON(position), target: vectorToJSON(target) };
+        this.bookmarks.push(bookmark);
+        return bookmark;
+    }
+
+    /**
+     * Remove a bookmark and the tour stops showing it (tours left without stops are removed too)
+     */
+    removeBookmark(id) {
+        this.bookmarks = this.bookmarks.filter(bookmark => bookmark.id !== id);
+        this.tours = this.tours
+            .map(tour => ({ ...tour, stops: tour.stops.filter(stop => stop.bookmark !== id) }))
+            .filter(tour => tour.stops.length > 0);
     }
 
     /**
@@ -353,32 +1269,86 @@ class Layout3D {
         await Promise.all(promises);
     }
 
-    static fromJSON(data) {
+    /**
+     * True while any furniture is still fetching its model
+     */
+    isLoadingAssets() {
+        return this.rooms.some(room => room.furnitureList.some(furniture => furniture.loading));
+    }
+
+    /**
+     * Validates the whole document first so errors report their full path (e.g. /rooms/0/width).
+     */
+    static fromJSON(json) {
+        const data = normalizeLayout(json);
         const layout = new Layout3D(data.id, data.name);
+        layout.usesLevels = Array.isArray(json.levels);
         if (data.cameraView) {
             layout.cameraView = data.cameraView;
         }
-        if (data.rooms) {
-            data.rooms.forEach(roomData => {
-                const room = Room.fromJSON(roomData);
-                layout.addRoom(room);
-            });
+        layout.bookmarks = data.bookmarks;
+        layout.tours = data.tours;
+        if (data.source) {
+            layout.source = data.source;
         }
+        data.levels.forEach(levelData => {
+            layout.addLevel(Level.fromJSON(levelData));
+        });
         return layout;
     }
 
+    /**
+     * Serialize to a layout document: Layout3D.fromJSON(layout.toJSON()) yields an equivalent layout.
+     */
+    toJSON() {
+        const json = {
+            id: this.id,
+            name: this.description
+        };
+        if (this.usesLevels || this.levels.length > 1) {
+            json.levels = this.levels.map(level => level.toJSON());
+        } else {
+            const level = this.levels[0];
+            json.rooms = this.rooms.map(room => room.toJSON());
+            if (level && level.walls.length > 0) {
+                json.walls = level.walls.map(wall => level.wallToJSON(wall, DEFAULTS.level.ceilingHeight));
+            }
+        }
+        if (this.cameraView) {
+            json.cameraView = {
+                position: { ...this.cameraView.position },
+                target: { ...this.cameraView.target }
+            };
+        }
+        if (this.bookmarks.length > 0) {
+            json.bookmarks = JSON.parse(JSON.stringify(this.bookmarks));
+        }
+        if (this.tours.length > 0) {
+            json.tours = JSON.parse(JSON.stringify(this.tours));
+        }
+        if (this.source) {
+            json.source = JSON.parse(JSON.stringify(this.source));
+        }
+        return json;
+    }
+
     clone() {
         const clonedLayout = new Layout3D(this.id, this.description);
+        clonedLayout.usesLevels = this.usesLevels;
 
         // Copy camera view
         if (this.cameraView) {
             clonedLayout.cameraView = { ...this.cameraView };
         }
+        clonedLayout.bookmarks = JSON.parse(JSON.stringify(this.bookmarks));
+        clonedLayout.tours = JSON.parse(JSON.stringify(this.tours));
+        if (this.source) {
+            clonedLayout.source = JSON.parse(JSON.stringify(this.source));
+        }
 
-        // Deep clone rooms
-        this.rooms.forEach(room => {
-            const clonedRoom = room.clone();
-            clonedLayout.addRoom(clonedRoom);
+        // Deep clone levels (and their rooms)
+        this.levels.forEach(level => {
+            clonedLayout.addLevel(level.clone());
         });
 
         clonedLayout.group.userData.isMaster = false;
@@ -387,37 +1357,217 @@ class Layout3D {
     }
 
     dispose() {
-        this.rooms.forEach(r => r.dispose());
+        this.levels.forEach(l => l.dispose());
     }
 }
 
 /**
  * Prototype Registry
+ * Bounded LRU cache of masters.
+ * - `maxEntries` / `maxBytes` bound the cache; the least recently used masters are disposed when exceeded
+ *   (session clones hold their own asset references and stay valid).
+ * - `getOrLoad(id, loader)` shares one pending load per id; the loader gets an AbortSignal that fires
+ *   once every caller waiting for that load has cancelled.
+ * - Derived prototypes are a base id plus an overlay (see shared/layoutOverlay.js). They are not
+ *   masters themselves: the overlay is applied when a session is cloned, and their furniture shares
+ *   the base master's models through the asset cache.
  */
 class LayoutRegistry {
-    constructor() {
-        this.masters = new Map();
+    constructor({ maxEntries = 8, maxBytes = Infinity } = {}) {
+        this.masters = new Map(); // Insertion order doubles as LRU order (oldest first)
+        this.pending = new Map(); // id -> { id, promise, controller, waiters }
+        this.derived = new Map(); // id -> { baseId, overlay, name }
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
     }
 
     registerMaster(id, layout) {
         console.log(`[Registry] Registering Master Layout: ${id}`);
+        const previous = this.masters.get(id);
+        if (previous && previous !== layout) {
+            previous.dispose();
+        }
+        this.masters.delete(id);
         this.masters.set(id, layout);
+        this.evict(id);
     }
 
-    getSessionClone(id) {
+    registerDerived(id, baseId, overlay, name = id) {
+        console.log(`[Registry] Registering Derived Layout: ${id} (extends ${baseId})`);
+        this.derived.set(id, { baseId, overlay, name });
+    }
+
+    /**
+     * True when a session for `id` can be cloned right away (derived ids need their base master)
+     */
+    has(id) {
+        const derived = this.derived.get(id);
+        return derived ? this.has(derived.baseId) : this.masters.has(id);
+    }
+
+    /**
+     * Master for `id` (or undefined), marked as most recently used
+     */
+    getMaster(id) {
         const master = this.masters.get(id);
+        if (master) {
+            this.masters.delete(id);
+            this.masters.set(id, master);
+        }
+        return master;
+    }
+
+    /**
+     * Independent session copy. Sessions of derived ids are rebuilt from the overlaid document, so models
+     * added by the overlay still show placeholders until `session.loadAssets()` (cache hits for shared ones).
+     */
+    getSessionClone(id) {
+        if (this.derived.has(id)) {
+            const session = Layout3D.fromJSON(this.resolveDocument(id));
+            session.group.userData.isMaster = false;
+            return session;
+        }
+
+        const master = this.getMaster(id);
         if (!master) {
             throw new Error(`Layout ${id} not found in registry.`);
         }
         // console.log(`[Registry] Creating Session Clone for: ${id}`);
         return master.clone();
     }
+
+    /**
+     * Layout JSON for `id` with the overlays of derived layouts applied (bases first)
+     */
+    resolveDocument(id, chain = []) {
+        const derived = this.derived.get(id);
+        if (!derived) {
+            const master = this.getMaster(id);
+            if (!master) {
+                throw new Error(`Layout ${id} not found in registry.`);
+            }
+            return master.toJSON();
+        }
+        if (chain.includes(id)) {
+            throw new Error(`Layout ${id} extends itself.`);
+        }
+        const base = this.resolveDocument(derived.baseId, [...chain, id]);
+        return { ...applyOverlay(base, derived.overlay), id, name: derived.name };
+    }
+
+    /**
+     * Resolve the prototype for `id`, calling `loader(id, signal)` only when it is neither cached nor already
+     * loading. The loader returns either a Layout3D master or a derived document (`{ extends, overlay }`),
+     * in which case the base is loaded through the same loader. Once resolved, `getSessionClone(id)` works.
+     * Passing `signal` lets the caller cancel its interest; the returned promise then rejects with an AbortError.
+     */
+    getOrLoad(id, loader, { signal } = {}) {
+        const derived = this.derived.get(id);
+        if (derived) {
+            return this.getOrLoad(derived.baseId, loader, { signal });
+        }
+        const master = this.getMaster(id);
+        if (master) {
+            return Promise.resolve(master);
+        }
+
+        let entry = this.pending.get(id);
+        if (!entry) {
+            const controller = new AbortController();
+            entry = { id, controller, waiters: 0, promise: null };
+            entry.promise = Promise.resolve()
+                .then(() => loader(id, controller.signal))
+                .then(layout => {
+                    if (isDerivedLayout(layout)) {
+                        this.registerDerived(id, layout.extends, layout.overlay, layout.name);
+                        return this.getOrLoad(layout.extends, loader, { signal: controller.signal });
+                    }
+                    if (controller.signal.aborted) {
+                        // Nobody wants it any more: do not keep the assets alive
+                        layout.dispose();
+                        throw abortError();
+                    }
+                    this.registerMaster(id, layout);
+                    return layout;
+                })
+                .finally(() => {
+                    if (this.pending.get(id) === entry) this.pending.delete(id);
+                });
+            this.pending.set(id, entry);
+        }
+
+        return this.waitFor(entry, signal);
+    }
+
+    waitFor(entry, signal) {
+        if (!signal) {
+            entry.waiters++;
+            return entry.promise;
+        }
+        if (signal.aborted) {
+            return Promise.reject(abortError());
+        }
+
+        entry.waiters++;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                entry.waiters--;
+                if (entry.waiters === 0) {
+                    entry.controller.abort();
+                    // A later getOrLoad for this id must start a fresh load rather than join the aborted one
+                    if (this.pending.get(entry.id) === entry) this.pending.delete(entry.id);
+                }
+                reject(abortError());
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+            entry.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    /**
+     * Rough memory held by a master: the cached assets its furniture references
+     */
+    estimateBytes(layout) {
+        const urls = new Set();
+        layout.rooms.forEach(room => room.furnitureList.forEach(furniture => {
+            if (furniture.assetUrl) urls.add(furniture.assetUrl);
+            furniture.lodAssetUrls.forEach(url => urls.add(url));
+        }));
+        let bytes = 0;
+        urls.forEach(url => { bytes += assetCache.getBytes(url); });
+        return bytes;
+    }
+
+    getStats() {
+        let bytes = 0;
+        this.masters.forEach(layout => { bytes += this.estimateBytes(layout); });
+        return { masters: this.masters.size, pending: this.pending.size, bytes };
+    }
+
+    /**
+     * Dispose least recently used masters until the budget holds. `keepId` (the master just used) is never evicted.
+     */
+    evict(keepId) {
+        for (const [id, layout] of this.masters) {
+            const { masters, bytes } = this.getStats();
+            if (masters <= this.maxEntries && bytes <= this.maxBytes) break;
+            if (id === keepId) continue;
+            console.log(`[Registry] Evicting Master Layout: ${id}`);
+            this.masters.delete(id);
+            layout.dispose();
+        }
+    }
+}
+
+function abortError() {
+    return new DOMException('Layout load was cancelled', 'AbortError');
 }
 
 export {
     Furniture,
     Wall,
     Room,
+    Level,
     Layout3D,
     LayoutRegistry
 };
@@ -0,0 +1,40 @@
+import { Furniture, Layout3D, Level, Room, LayoutRegistry } from './PrototypePattern';
+
+const layoutWithRotatedChair = () => {
+    const layout = new Layout3D('Test');
+    const level = new Level('Ground');
+    const room = new Room('Living Room', 4, 5);
+    const chair = new Furniture('Chair', 'chair');
+    chair.root.position.set(1, 0, 2);
+    chair.root.rotation.set(0, 3.14, 0);
+    room.addFurniture(chair);
+    level.addRoom(room);
+    layout.addLevel(level);
+    return layout;
+};
+
+test('a cloned layout serializes exactly like its master', () => {
+    const master = layoutWithRotatedChair();
+    expect(master.clone().toJSON()).toEqual(master.toJSON());
+});
+
+test('a room can be selected again after its load was cancelled', async () => {
+    const registry = new LayoutRegistry();
+    const loads = [];
+    const loader = jest.fn(() => new Promise(resolve => loads.push(resolve)));
+
+    const first = new AbortController();
+    const cancelled = registry.getOrLoad('living-room', loader, { signal: first.signal });
+    await Promise.resolve();
+    first.abort();
+    await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+
+    const again = registry.getOrLoad('living-room', loader, { signal: new AbortController().signal });
+    await Promise.resolve();
+    expect(loader).toHaveBeenCalledTimes(2);
+
+    const layout = layoutWithRotatedChair();
+    loads[1](layout);
+    await expect(again).resolves.toBe(layout);
+    expect(registry.has('living-room')).toBe(true);
+});
@@ -0,0 +1,121 @@
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter';
+import { OBJExporter } from 'three/examples/jsm/exporters/OBJExporter';
+import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils';
+import { footprintBounds, polygonArea, roomFootprint } from './shared/roomGeometry.js';
+
+/**
+ * Exports the 3D scene of a Layout3D (typically the edited session clone) for use in other tools:
+ * walls, slabs, floors and furniture (loaded models or placeholders) with their transforms.
+ * The scene graph is copied first, so the live scene is never touched; levels are exported at their real
+ * elevation and visible whatever the viewer's level mode. Nodes are named after their entity, e.g.
+ * "Room: Kitchen", "Furniture: Sofa", "Wall".
+ */
+export class SceneExporter {
+    /**
+     * @param {object} options
+     * @param {boolean} [options.includeMetadata] Put layout / level / room / furniture details in the glTF
+     *   `extras` of their nodes (room names, dimensions, ...). Without it nodes carry no extras.
+     */
+    constructor(options = {}) {
+        this.includeMetadata = options.includeMetadata ?? false;
+    }
+
+    /**
+     * @returns {Promise<ArrayBuffer>} Binary glTF
+     */
+    async exportGLB(layout) {
+        return new GLTFExporter().parseAsync(this.prepareScene(layout), { binary: true, onlyVisible: false });
+    }
+
+    /**
+     * @returns {string} Wavefront OBJ (geometry and node names only; materials and metadata are not included)
+     */
+    exportOBJ(layout) {
+        return new OBJExporter().parse(this.prepareScene(layout));
+    }
+
+    /**
+     * Copy of the layout's scene graph with entity names and (optionally) metadata, ready for an exporter
+     */
+    prepareScene(layout) {
+        const metadata = new Map();
+        metadata.set(layout.group, layoutMetadata(layout));
+        layout.levels.forEach(level => {
+            metadata.set(level.group, {
+                type: 'Level',
+                name: level.name,
+                elevation: level.elevation,
+                ceilingHeight: level.ceilingHeight
+            });
+            level.rooms.forEach(room => {
+                metadata.set(room.group, roomMetadata(room));
+                room.furnitureList.forEach(furniture => {
+                    const size = furniture.getSize();
+                    metadata.set(furniture.root, {
+                        type: 'Furniture',
+                        name: furniture.name,
+                        furnitureType: furniture.type,
+                        modelUrl: furniture.modelUrl,
+                        size: { x: size.x, y: size.y, z: size.z }
+                    });
+                });
+            });
+        });
+
+        const copy = SkeletonUtils.clone(layout.group);
+        visitPairs(layout.group, copy, (original, exported) => {
+            const { type, name } = original.userData;
+            if (type) {
+                exported.name = name ? `${type}: ${name}` : type;
+            }
+            exported.visible = true;
+            exported.userData = this.includeMetadata ? { ...(metadata.get(original) || (type ? { type } : {})) } : {};
+        });
+
+        // Level-of-detail variants are a viewer concern: only the full model is exported
+        const lods = [];
+        copy.traverse(node => {
+            if (node.isLOD) lods.push(node);
+        });
+        lods.forEach(lod => {
+            lod.levels.slice(1).forEach(variant => lod.remove(variant.object));
+            lod.levels.length = 1;
+        });
+
+        copy.name = `Layout3D: ${layout.description}`;
+
+        // Undo the viewer's display offsets (exploded levels)
+        layout.levels.forEach(level => {
+            copy.children[layout.group.children.indexOf(level.group)].position.y = level.elevation;
+        });
+        return copy;
+    }
+}
+
+/**
+ * Calls `fn` for each object of `original` with its counterpart in `copy` (a clone with the same hierarchy)
+ */
+function visitPairs(original, copy, fn) {
+    fn(original, copy);
+    original.children.forEach((child, i) => visitPairs(child, copy.children[i], fn));
+}
+
+function layoutMetadata(layout) {
+    const json = { type: 'Layout3D', id: layout.id, name: layout.description };
+    if (layout.source) json.source = JSON.parse(JSON.stringify(layout.source));
+    return json;
+}
+
+function roomMetadata(room) {
+    const footprint = roomFootprint(room);
+    const bounds = footprintBounds(footprint);
+    return {
+        type: 'Room',
+        name: room.name,
+        width: bounds.maxX - bounds.minX,
+        depth: bounds.maxZ - bounds.minZ,
+        area: polygonArea(footprint),
+        wallHeight: room.wallHeight,
+        footprint
+    };
+}
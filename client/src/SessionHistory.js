@@ -0,0 +1,198 @@
+/**
+ * Undo / redo for edits of a session clone.
+ *
+ * Every step is a plain JSON command. Commands address their target by index (level, room, furniture) rather
+ * than by entity id, so a history written with toJSON() replays on any fresh clone of the same layout
+ * (e.g. from LayoutRegistry.getSessionClone) with SessionHistory.replay().
+ *
+ *   { type: 'transform', target: { level, room, furniture }, before: {position, rotation, scale}, after: {...} }
+ *   { type: 'addFurniture', target: { level, room, furniture }, furniture: <furniture JSON> }
+ *   { type: 'removeFurniture', target: { level, room, furniture }, furniture: <furniture JSON> }
+ *   { type: 'resizeRoom', target: { level, room }, before: { width, depth }, after: { width, depth } }
+ *   { type: 'setFinish', target: { level, room[, furniture] }, slot, before: <finish id|null>, after: ... }
+ *     (`slot` is 'walls' / 'floor' for rooms, a material slot for furniture)
+ *
+ * An optional `label` (e.g. "Move Sofa") is kept for display.
+ */
+
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
+import { Furniture } from './PrototypePattern';
+
+// Steps recorded with the same merge key within this many milliseconds become one step
+const MERGE_WINDOW = 1000;
+
+let loader = null;
+
+/**
+ * Indices of a furniture (as found by Layout3D.findFurniture) for use as a command target
+ */
+export function furnitureTarget(layout, { level, room, furniture }) {
+    const levelIndex = layout.levels.indexOf(level);
+    const roomIndex = level.rooms.indexOf(room);
+    return { level: levelIndex, room: roomIndex, furniture: room.furnitureList.indexOf(furniture) };
+}
+
+/**
+ * Position, rotation and scale of a furniture in its room, as stored in a transform command
+ */
+export function readTransform(furniture) {
+    const { position, rotation, scale } = furniture.root;
+    return {
+        position: { x: position.x, y: position.y, z: position.z },
+        rotation: { x: rotation.x, y: rotation.y, z: rotation.z },
+        scale: { x: scale.x, y: scale.y, z: scale.z }
+    };
+}
+
+function writeTransform(furniture, { position, rotation, scale }) {
+    furniture.setPosition(position.x, position.y, position.z);
+    furniture.setRotation(rotation.x, rotation.y, rotation.z);
+    furniture.setScale(scale.x, scale.y, scale.z);
+}
+
+function levelAt(layout, target) {
+    const level = layout.levels[target.level];
+    if (!level) throw new Error(`Layout ${layout.id} has no level ${target.level}.`);
+    return level;
+}
+
+function roomAt(layout, target) {
+    const room = levelAt(layout, target).rooms[target.room];
+    if (!room) throw new Error(`Level ${target.level} has no room ${target.room}.`);
+    return room;
+}
+
+function furnitureAt(layout, target) {
+    const room = roomAt(layout, target);
+    const furniture = room.furnitureList[target.furniture];
+    if (!furniture) throw new Error(`Room ${room.name} has no furniture ${target.furniture}.`);
+    return furniture;
+}
+
+function insertFurniture(layout, target, json) {
+    const furniture = Furniture.fromJSON(json);
+    roomAt(layout, target).addFurniture(furniture, target.furniture);
+    if (!loader) loader = new GLTFLoader();
+    furniture.loadModel(loader);
+}
+
+/**
+ * Apply a command forwards (do / redo) or backwards (undo)
+ */
+function applyCommand(layout, command, forward) {
+    const { target } = command;
+    switch (command.type) {
+        case 'transform':
+            writeTransform(furnitureAt(layout, target), forward ? command.after : command.before);
+            break;
+        case 'addFurniture':
+        case 'removeFurniture':
+            if (forward === (command.type === 'addFurniture')) {
+                insertFurniture(layout, target, command.furniture);
+            } else {
+                roomAt(layout, target).removeFurniture(furnitureAt(layout, target));
+            }
+            break;
+        case 'setFinish': {
+            const owner = target.furniture === undefined ? roomAt(layout, target) : furnitureAt(layout, target);
+            owner.setFinish(command.slot, forward ? command.after : command.before);
+            break;
+        }
+        case 'resizeRoom': {
+            const { width, depth } = forward ? command.after : command.before;
+            levelAt(layout, target).resizeRoom(roomAt(layout, target), width, depth);
+            break;
+        }
+        default:
+            throw new Error(`Unknown session command "${command.type}".`);
+    }
+}
+
+export class SessionHistory {
+    constructor(layout) {
+        this.layout = layout;
+        // { command, merge, time }
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Apply a command to the layout and record it
+     * @param {object} [options] See record()
+     */
+    execute(command, options) {
+        applyCommand(this.layout, command, true);
+        this.record(command, options);
+    }
+
+    /**
+     * Record a command whose change is already applied (e.g. by a gizmo drag)
+     * @param {object} [options]
+     * @param {string} [options.merge] Key of a continuous edit (e.g. one field typed into): a step with the same
+     *   key recorded just before is extended to this command's `after` instead of adding a step
+     */
+    record(command, { merge = null } = {}) {
+        const now = Date.now();
+        const top = this.undoStack[this.undoStack.length - 1];
+        this.redoStack = [];
+        if (merge && top && top.merge === merge && now - top.time <= MERGE_WINDOW && 'after' in command) {
+            top.command = { ...top.command, after: command.after };
+            top.time = now;
+            return;
+        }
+        this.undoStack.push({ command, merge, time: now });
+    }
+
+    /**
+     * @returns {object|null} The command undone
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        applyCommand(this.layout, entry.command, false);
+        this.redoStack.push(entry);
+        return entry.command;
+    }
+
+    /**
+     * @returns {object|null} The command redone
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        applyCommand(this.layout, entry.command, true);
+        // A redone step never merges with the next edit
+        this.undoStack.push({ ...entry, merge: null });
+        return entry.command;
+    }
+
+    /**
+     * The applied steps, oldest first (redo steps are not included)
+     */
+    toJSON() {
+        return {
+            layoutId: this.layout.id,
+            commands: JSON.parse(JSON.stringify(this.undoStack.map(entry => entry.command)))
+        };
+    }
+
+    /**
+     * Re-apply a saved history to a fresh clone of its layout; the steps can then be undone one by one
+     */
+    static replay(layout, json) {
+        if (json.layoutId && json.layoutId !== layout.id) {
+            throw new Error(`History of layout ${json.layoutId} cannot be replayed on ${layout.id}.`);
+        }
+        const history = new SessionHistory(layout);
+        json.commands.forEach(command => history.execute(JSON.parse(JSON.stringify(command))));
+        return history;
+    }
+}
@@ -1,12 +1,95 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls';
+import { WalkthroughControls } from './WalkthroughControls';
+import { CameraAnimator } from './CameraTour';
+import { FurnitureInstancer, INSTANCED_LAYER } from './FurnitureInstancing';
 
-const ThreeDViewer = ({ layoutData }) => {
+// Vertical gap added between consecutive levels in "exploded" mode
+const EXPLODE_GAP = 6;
+
+const LEVEL_MODES = [
+    { id: 'stack', label: 'Stack' },
+    { id: 'single', label: 'Single' },
+    { id: 'exploded', label: 'Explode' }
+];
+
+const NAVIGATION_MODES = [
+    { id: 'orbit', label: 'Orbit' },
+    { id: 'walk', label: 'Walk' }
+];
+
+// Field of view of the overview camera and of the (wider) walkthrough eye
+const ORBIT_FOV = 45;
+const WALK_FOV = 70;
+
+// Pointer travel (px) below which a press + release counts as a click rather than an orbit drag
+const CLICK_TOLERANCE = 4;
+
+// Longest time step (s) animations advance by in one frame, e.g. the first frame after the view sat idle
+const MAX_FRAME_DELTA = 0.1;
+
+/**
+ * True when the object and all its ancestors are visible (hidden levels are not pickable)
+ */
+const isShown = (object) => {
+    for (let node = object; node; node = node.parent) {
+        if (!node.visible) return false;
+    }
+    return true;
+};
+
+/**
+ * @param {object} props
+ * @param {Layout3D} props.layoutData Layout to show (the session clone when editing)
+ * @param {string} [props.selectedId] Root entityId of the selected furniture
+ * @param {function} [props.onSelect] Called with the entityId of clicked furniture, or null for empty space
+ * @param {string} [props.transformMode] Gizmo of the selection: 'translate', 'rotate' or 'scale'
+ * @param {object} [props.snap] { grid: metres, angle: degrees }; 0 / null turns snapping off
+ * @param {function} [props.onTransform] Called while the gizmo changes the selected furniture
+ * @param {function} [props.onTransformStart] Called when a gizmo drag starts
+ * @param {function} [props.onTransformEnd] Called when a gizmo drag ends
+ * @param {Array<string>} [props.highlightedIds] Root entityIds of furniture to outline as problems
+ */
+const ThreeDViewer = ({
+    layoutData,
+    selectedId = null,
+    onSelect,
+    transformMode = 'translate',
+    snap,
+    onTransform,
+    onTransformStart,
+    onTransformEnd,
+    highlightedIds
+}) => {
+    const [levelMode, setLevelMode] = useState('stack');
+    const [activeLevel, setActiveLevel] = useState(0);
+    const [navigation, setNavigation] = useState('orbit');
+    const [eyeHeight, setEyeHeight] = useState(1.6);
+    const [bookmarkId, setBookmarkId] = useState('');
+    const [bookmarkName, setBookmarkName] = useState('');
+    const [tourId, setTourId] = useState('');
+    const [tourState, setTourState] = useState(null); // { index, count, caption, paused } while a tour plays
+    const [, setBookmarkVersion] = useState(0); // Bumped after a bookmark is added / removed
+    const [showStats, setShowStats] = useState(false);
     const mountRef = useRef(null);
     const sceneRef = useRef(null);
     const rendererRef = useRef(null);
     const controlsRef = useRef(null);
+    const layoutRef = useRef(null);
+    const transformRef = useRef(null);
+    const selectionBoxRef = useRef(null);
+    const highlightsRef = useRef([]); // BoxHelpers around the highlighted furniture
+    const walkRef = useRef(null);
+    const orbitViewRef = useRef(null); // Orbit camera to return to after a walk
+    const animatorRef = useRef(null);
+    const instancerRef = useRef(null);
+    const statsRef = useRef(null);
+    const requestRenderRef = useRef(() => {});
+    // Latest callbacks for the listeners registered once at mount
+    const callbacksRef = useRef({});
+    callbacksRef.current = { onSelect, onTransform, onTransformStart, onTransformEnd };
 
     useEffect(() => {
         // --- Init Scene ---
@@ -18,7 +101,7 @@ const ThreeDViewer = ({ layoutData }) => {
         // scene.fog = new THREE.Fog(0x1a1a1a, 20, 100); 
         sceneRef.current = scene;
 
-        const camera = new THREE.PerspectiveCamera(45, width / height, 0.1, 1000);
+        const camera = new THREE.PerspectiveCamera(ORBIT_FOV, width / height, 0.1, 1000);
         camera.position.set(0, 20, 30);
         camera.lookAt(0, 0, 0);
 
@@ -39,6 +122,100 @@ const ThreeDViewer = ({ layoutData }) => {
         controls.maxPolarAngle = Math.PI / 2 - 0.1;
         controlsRef.current = controls;
 
+        // --- Render on demand: a frame is drawn only when something asks for one ---
+        let frame = null;
+        const requestRender = () => {
+            if (frame === null) frame = requestAnimationFrame(renderFrame);
+        };
+        requestRenderRef.current = requestRender;
+        controls.addEventListener('change', requestRender);
+
+        // Remember where the user left the camera so a saved session keeps its view
+        controls.addEventListener('end', () => {
+            if (layoutRef.current && typeof layoutRef.current.setCameraView === 'function') {
+                layoutRef.current.setCameraView(camera.position, controls.target);
+            }
+        });
+
+        // Bookmark flights and guided tours; orbiting by hand takes over from them
+        const animator = new CameraAnimator(camera, controls, {
+            onStop: (index, stop) => {
+                setTourState(state => ({ ...state, index, caption: stop.caption, paused: false }));
+            },
+            onEnd: () => setTourState(null)
+        });
+        animatorRef.current = animator;
+        controls.addEventListener('start', () => animator.stop());
+
+        // Walkthrough: enabled instead of the orbit controls in walk mode
+        const walk = new WalkthroughControls(camera, renderer.domElement);
+        walk.addEventListener('change', requestRender);
+        walkRef.current = walk;
+
+        // --- Selection: click to pick furniture (walk mode: a floor to jump to), gizmo to move / rotate / scale it ---
+        const transform = new TransformControls(camera, renderer.domElement);
+        transform.addEventListener('dragging-changed', (event) => {
+            controls.enabled = !event.value;
+        });
+        transform.addEventListener('objectChange', () => {
+            if (callbacksRef.current.onTransform) callbacksRef.current.onTransform();
+        });
+        transform.addEventListener('mouseDown', () => {
+            if (callbacksRef.current.onTransformStart) callbacksRef.current.onTransformStart();
+        });
+        transform.addEventListener('mouseUp', () => {
+            if (callbacksRef.current.onTransformEnd) callbacksRef.current.onTransformEnd();
+        });
+        transform.addEventListener('change', requestRender);
+        scene.add(transform);
+        transformRef.current = transform;
+
+        const selectionBox = new THREE.BoxHelper(undefined, 0x00d2ff);
+        selectionBox.visible = false;
+        scene.add(selectionBox);
+        selectionBoxRef.current = selectionBox;
+
+        const raycaster = new THREE.Raycaster();
+        // Furniture drawn through instancing is only visible to the raycaster on its own layer
+        raycaster.layers.enable(INSTANCED_LAYER);
+        let pressed = null;
+        const onPointerDown = (event) => {
+            // Presses on the gizmo (TransformControls picks its axis before this listener runs) never select
+            pressed = transform.axis === null ? { x: event.clientX, y: event.clientY } : null;
+        };
+        const onPointerUp = (event) => {
+            if (!pressed || !layoutRef.current) return;
+            const moved = Math.hypot(event.clientX - pressed.x, event.clientY - pressed.y);
+            pressed = null;
+            if (moved > CLICK_TOLERANCE) return;
+
+            const rect = renderer.domElement.getBoundingClientRect();
+            const pointer = new THREE.Vector2(
+                ((event.clientX - rect.left) / rect.width) * 2 - 1,
+                -((event.clientY - rect.top) / rect.height) * 2 + 1
+            );
+            raycaster.setFromCamera(pointer, camera);
+            const hits = raycaster.intersectObject(layoutRef.current.group, true).filter(hit => isShown(hit.object));
+            if (walk.enabled) {
+                if (hits.length > 0) walk.teleport(hits[0].object, hits[0].point);
+                return;
+            }
+            if (!callbacksRef.current.onSelect) return;
+
+            // Nearest visible furniture under the pointer, looking through walls
+            let picked = null;
+            for (const hit of hits) {
+                for (let node = hit.object; node && !picked; node = node.parent) {
+                    const found = node.userData.entityId && layoutRef.current.findFurniture(node.userData.entityId);
+                    if (found) picked = node.userData.entityId;
+                }
+                if (picked) break;
+            }
+            callbacksRef.current.onSelect(picked);
+        };
+        renderer.domElement.addEventListener('pointerdown', onPointerDown);
+        renderer.domElement.addEventListener('pointerup', onPointerUp);
+
         // --- Environment ---
         // Optimization: Removed 4K texture loading. Using simple grid/color for low-spec compatibility.
 
@@ -80,18 +257,69 @@ const ThreeDViewer = ({ layoutData }) => {
         dirLight.shadow.camera.bottom = -50;
         scene.add(dirLight);
 
-        // --- Animation Loop ---
-        const animate = () => {
-            requestAnimationFrame(animate);
-            controls.update();
+        // Repeated furniture is drawn with InstancedMesh
+        const instancer = new FurnitureInstancer(scene);
+        instancerRef.current = instancer;
+
+        // --- Render Loop ---
+        const clock = new THREE.Clock();
+        const frameTimes = []; // Timestamps of the frames drawn in the last second (stats overlay)
+        const renderFrame = () => {
+            frame = null;
+            const delta = Math.min(clock.getDelta(), MAX_FRAME_DELTA);
+            // Keep drawing while something moves by itself; input and scene changes request frames as they happen
+            let busy;
+            if (walk.enabled) {
+                walk.update(delta);
+                busy = walk.moving;
+            } else {
+                animator.update(delta);
+                busy = animator.active;
+                controls.update(); // Dispatches 'change' (another frame) while damping settles
+            }
+            // Models still streaming in replace their placeholders without any other notice
+            if (layoutRef.current && layoutRef.current.isLoadingAssets()) busy = true;
+
+            if (selectionBox.visible) selectionBox.update();
+            highlightsRef.current.forEach(helper => {
+                helper.visible = isShown(helper.object);
+                if (helper.visible) helper.update();
+            });
+            instancer.sync(camera);
+            const start = performance.now();
             renderer.render(scene, camera);
+            const renderTime = performance.now() - start;
+
+            if (statsRef.current) {
+                frameTimes.push(start);
+                while (frameTimes[0] < start - 1000) frameTimes.shift();
+                const { render, memory } = renderer.info;
+                const { batches, instances } = instancer.getStats();
+                statsRef.current.textContent = [
+                    `${busy ? `${frameTimes.length} fps` : 'idle'} · ${renderTime.toFixed(1)} ms`,
+                    `${render.calls} draw calls · ${render.triangles.toLocaleString()} triangles`,
+                    `${instances} instances in ${batches} batches`,
+                    `${memory.geometries} geometries · ${memory.textures} textures`
+                ].join('\n');
+            }
+            if (busy) requestRender();
         };
-        animate();
+        requestRender();
 
         return () => {
             if (mountRef.current && renderer.domElement) {
                 mountRef.current.removeChild(renderer.domElement);
             }
+            if (frame !== null) cancelAnimationFrame(frame);
+            requestRenderRef.current = () => {};
+            renderer.domElement.removeEventListener('pointerdown', onPointerDown);
+            renderer.domElement.removeEventListener('pointerup', onPointerUp);
+            transform.detach();
+            transform.dispose();
+            walk.dispose();
+            instancer.dispose();
+            selectionBox.geometry.dispose();
+            selectionBox.material.dispose();
             renderer.dispose();
             controls.dispose();
         };
@@ -126,8 +354,17 @@ const ThreeDViewer = ({ layoutData }) => {
         }
 
         // Add New Layout
+        layoutRef.current = layoutData;
+        if (animatorRef.current) animatorRef.current.stop();
+        // A walk in the previous layout does not carry over
+        if (walkRef.current) {
+            walkRef.current.setLayout(layoutData);
+            orbitViewRef.current = null;
+            if (walkRef.current.enabled) walkRef.current.enter();
+        }
         const rootGroup = layoutData.group;
         scene.add(rootGroup);
+        if (instancerRef.current) instancerRef.current.setLayout(layoutData);
 
         console.log("Adding layout to scene:", layoutData);
 
@@ -144,18 +381,265 @@ const ThreeDViewer = ({ layoutData }) => {
             console.log("Updated camera view based on layout settings.");
         }
 
-        // Cleanup function: Called when layoutData changes or component unmounts
+        // Cleanup function: Called when layoutData changes or component unmounts.
+        // The layout only leaves the scene: App owns the session and disposes it once it is replaced, so
+        // unmounting the viewer (e.g. for the 2D plan) leaves the session and its asset references intact.
         return () => {
-            // Use the Pattern's dispose logic which protects shared assets
-            if (layoutData && typeof layoutData.dispose === 'function') {
-                console.log("Disposing resources for layout:", layoutData.id);
-                layoutData.dispose();
-            }
+            if (instancerRef.current) instancerRef.current.setLayout(null);
+            scene.remove(rootGroup);
         };
 
     }, [layoutData]);
 
-    return <div ref={mountRef} style={{ width: '100%', height: '600px', border: '1px solid #ccc', borderRadius: '8px', overflow: 'hidden' }} />;
+    // --- Selection (gizmo + outline on the selected furniture) ---
+    useEffect(() => {
+        const transform = transformRef.current;
+        const selectionBox = selectionBoxRef.current;
+        if (!transform) return;
+        const found = layoutData && selectedId ? layoutData.findFurniture(selectedId) : null;
+        // No gizmo while walking: clicks jump instead
+        if (found && navigation === 'orbit') {
+            transform.attach(found.furniture.root);
+        } else {
+            transform.detach();
+        }
+        if (found) selectionBox.setFromObject(found.furniture.root);
+        selectionBox.visible = Boolean(found);
+    }, [layoutData, selectedId, navigation]);
+
+    // --- Highlighted furniture (placement problems) ---
+    useEffect(() => {
+        const scene = sceneRef.current;
+        if (!scene || !layoutData || !highlightedIds) return;
+        const helpers = highlightedIds
+            .map(id => layoutData.findFurniture(id))
+            .filter(Boolean)
+            .map(({ furniture }) => {
+                const helper = new THREE.BoxHelper(furniture.root, 0xff4d4d);
+                scene.add(helper);
+                return helper;
+            });
+        highlightsRef.current = helpers;
+        return () => {
+            helpers.forEach(helper => {
+                scene.remove(helper);
+                helper.geometry.dispose();
+                helper.material.dispose();
+            });
+            highlightsRef.current = [];
+        };
+    }, [layoutData, highlightedIds]);
+
+    // --- Navigation (orbit overview or first-person walk) ---
+    useEffect(() => {
+        const walk = walkRef.current;
+        const controls = controlsRef.current;
+        if (!walk || !controls) return;
+        const camera = controls.object;
+        if (navigation === 'walk' && !walk.enabled) {
+            orbitViewRef.current = { position: camera.position.clone(), target: controls.target.clone() };
+            controls.enabled = false;
+            camera.fov = WALK_FOV;
+            // Start in the room the overview was centred on
+            walk.enter({ x: controls.target.x, z: controls.target.z });
+        } else if (navigation === 'orbit' && walk.enabled) {
+            walk.exit();
+            const saved = orbitViewRef.current;
+            if (saved) {
+                camera.position.copy(saved.position);
+                controls.target.copy(saved.target);
+            }
+            controls.enabled = true;
+            camera.fov = ORBIT_FOV;
+            controls.update();
+        }
+        camera.updateProjectionMatrix();
+    }, [navigation]);
+
+    useEffect(() => {
+        const walk = walkRef.current;
+        if (!walk) return;
+        walk.eyeHeight = eyeHeight;
+        if (walk.enabled) walk.updateCamera();
+    }, [eyeHeight]);
+
+    useEffect(() => {
+        const transform = transformRef.current;
+        if (!transform) return;
+        transform.setMode(transformMode);
+        // Furniture turns about its vertical axis only; scaling follows the piece's own axes
+        transform.setSpace(transformMode === 'translate' ? 'world' : 'local');
+        transform.showX = transformMode !== 'rotate';
+        transform.showZ = transformMode !== 'rotate';
+        transform.setTranslationSnap(snap && snap.grid ? snap.grid : null);
+        transform.setRotationSnap(snap && snap.angle ? THREE.MathUtils.degToRad(snap.angle) : null);
+    }, [transformMode, snap]);
+
+    // --- Bookmarks and Tours ---
+    const bookmarks = (layoutData && layoutData.bookmarks) || [];
+    const tours = (layoutData && layoutData.tours) || [];
+    const currentBookmark = bookmarks.find(bookmark => bookmark.id === bookmarkId) || bookmarks[0] || null;
+    const currentTour = tours.find(tour => tour.id === tourId) || tours[0] || null;
+
+    const handleGoToBookmark = () => {
+        if (!currentBookmark) return;
+        setNavigation('orbit');
+        animatorRef.current.flyTo(currentBookmark);
+        requestRenderRef.current();
+    };
+
+    const handleSaveBookmark = () => {
+        const controls = controlsRef.current;
+        const camera = controls.object;
+        // Walking has no orbit target: look at a point ahead of the eye
+        const target = navigation === 'walk'
+            ? camera.position.clone().add(camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(2))
+            : controls.target;
+        const bookmark = layoutData.addBookmark(bookmarkName.trim() || `View ${bookmarks.length + 1}`, camera.position, target);
+        setBookmarkId(bookmark.id);
+        setBookmarkName('');
+        setBookmarkVersion(v => v + 1);
+    };
+
+    const handleRemoveBookmark = () => {
+        if (!currentBookmark) return;
+        layoutData.removeBookmark(currentBookmark.id);
+        setBookmarkId('');
+        setBookmarkVersion(v => v + 1);
+    };
+
+    const handlePlayTour = () => {
+        const animator = animatorRef.current;
+        if (tourState) {
+            if (tourState.paused) animator.resume();
+            else animator.pause();
+            requestRenderRef.current();
+            setTourState({ ...tourState, paused: !tourState.paused });
+            return;
+        }
+        if (!currentTour) return;
+        setNavigation('orbit');
+        setTourState({ index: 0, count: currentTour.stops.length, caption: '', paused: false });
+        animator.play(layoutData, currentTour);
+        requestRenderRef.current();
+    };
+
+    // --- Level Visibility (show one level, stack all, or explode vertically) ---
+    const levels = (layoutData && layoutData.levels) || [];
+    const levelIndex = Math.min(activeLevel, Math.max(levels.length - 1, 0));
+
+    useEffect(() => {
+        if (!layoutData || !layoutData.levels) return;
+        layoutData.levels.forEach((level, i) => {
+            level.group.visible = levelMode !== 'single' || i === levelIndex;
+            level.setDisplayOffset(levelMode === 'exploded' ? i * EXPLODE_GAP : 0);
+        });
+    }, [layoutData, levelMode, levelIndex]);
+
+    // Props and state changes may have touched the scene (edits, selection, level modes, ...): draw it again
+    useEffect(() => {
+        requestRenderRef.current();
+    });
+
+    return (
+        <div className="viewer-wrapper">
+            <div ref={mountRef} style={{ width: '100%', height: '600px', border: '1px solid #ccc', borderRadius: '8px', overflow: 'hidden' }} />
+            <div className="viewer-toolbar">
+                <div className="toolbar-group">
+                    {NAVIGATION_MODES.map(mode => (
+                        <button
+                            key={mode.id}
+                            className={navigation === mode.id ? 'active' : ''}
+                            onClick={() => setNavigation(mode.id)}
+                        >
+                            {mode.label}
+                        </button>
+                    ))}
+                </div>
+                {navigation === 'walk' && (
+                    <label className="toolbar-field">
+                        Eye
+                        <input
+                            type="number"
+                            min="0.5"
+                            max="2.5"
+                            step="0.05"
+                            value={eyeHeight}
+                            onChange={(e) => {
+                                const value = parseFloat(e.target.value);
+                                if (Number.isFinite(value) && value > 0) setEyeHeight(value);
+                            }}
+                        />
+                        m
+                    </label>
+                )}
+                {levels.length > 1 && (
+                    <div className="toolbar-group">
+                        {LEVEL_MODES.map(mode => (
+                            <button
+                                key={mode.id}
+                                className={levelMode === mode.id ? 'active' : ''}
+                                onClick={() => setLevelMode(mode.id)}
+                            >
+                                {mode.label}
+                            </button>
+                        ))}
+                    </div>
+                )}
+                {levels.length > 1 && levelMode === 'single' && (
+                    <select value={levelIndex} onChange={(e) => setActiveLevel(Number(e.target.value))}>
+                        {levels.map((level, i) => (
+                            <option key={level.group.userData.entityId} value={i}>{level.name}</option>
+                        ))}
+                    </select>
+                )}
+                <div className="toolbar-group">
+                    <button className={showStats ? 'active' : ''} onClick={() => setShowStats(!showStats)}>
+                        Stats
+                    </button>
+                </div>
+            </div>
+            <div className="viewer-tours">
+                <div className="toolbar-group">
+                    <select value={currentBookmark ? currentBookmark.id : ''} onChange={(e) => setBookmarkId(e.target.value)}>
+                        {bookmarks.length === 0 && <option value="">No bookmarks</option>}
+                        {bookmarks.map(bookmark => <option key={bookmark.id} value={bookmark.id}>{bookmark.name}</option>)}
+                    </select>
+                    <button onClick={handleGoToBookmark} disabled={!currentBookmark}>Go</button>
+                    <button onClick={handleRemoveBookmark} disabled={!currentBookmark} title="Remove bookmark">✕</button>
+                </div>
+                <div className="toolbar-group">
+                    <input
+                        type="text"
+                        placeholder="Bookmark name"
+                        value={bookmarkName}
+                        onChange={(e) => setBookmarkName(e.target.value)}
+                    />
+                    <button onClick={handleSaveBookmark}>＋ Save View</button>
+                </div>
+                {tours.length > 0 && (
+                    <div className="toolbar-group">
+                        <select value={currentTour.id} onChange={(e) => setTourId(e.target.value)} disabled={Boolean(tourState)}>
+                            {tours.map(tour => <option key={tour.id} value={tour.id}>{tour.name}</option>)}
+                        </select>
+                        <button onClick={handlePlayTour}>{tourState && !tourState.paused ? '⏸ Pause' : '▶ Play'}</button>
+                        <button onClick={() => animatorRef.current.stop()} disabled={!tourState}>■ Stop</button>
+                    </div>
+                )}
+            </div>
+            {showStats && <div ref={statsRef} className="viewer-stats" />}
+            {tourState && (
+                <div className="viewer-hint tour-caption">
+                    {tourState.index + 1}/{tourState.count}{tourState.caption ? ` · ${tourState.caption}` : ''}
+                </div>
+            )}
+            {navigation === 'walk' && (
+                <div className="viewer-hint">
+                    WASD / arrow keys to walk · drag to look around · click a floor to jump into that room
+                </div>
+            )}
+        </div>
+    );
 };
 
 export default ThreeDViewer;
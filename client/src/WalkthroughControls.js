@@ -0,0 +1,305 @@
+/**
+ * First-person navigation for ThreeDViewer: WASD / arrow keys to walk, drag to look around.
+ *
+ * The walker is a circle on one level that collides, in plan, with the solid parts of walls and with furniture
+ * footprints. Door openings stay passable and furniture lower than STEP_HEIGHT (rugs) is walked over.
+ * Position, view direction and level survive exit() / enter(), so switching to orbit mode and back resumes
+ * the walk where it was left. Like the three.js controls it dispatches 'change' whenever the camera moves.
+ */
+
+import { EventDispatcher } from 'three';
+import { planFootprint, toLevelSpace } from './shared/adjacency.js';
+import { labelPoint, pointInPolygon } from './shared/roomGeometry.js';
+
+const PLAYER_RADIUS = 0.25;
+// Wall parts starting above this (lintels) are walked under, furniture lower than this is walked over
+const STEP_HEIGHT = 0.3;
+// Radians of view rotation per pixel dragged
+const LOOK_SPEED = 0.004;
+const MAX_PITCH = Math.PI / 2 - 0.05;
+// Collision passes per frame (pushing out of one obstacle can push into another)
+const COLLISION_PASSES = 3;
+
+const MOVE_KEYS = {
+    KeyW: 'forward',
+    ArrowUp: 'forward',
+    KeyS: 'back',
+    ArrowDown: 'back',
+    KeyA: 'left',
+    ArrowLeft: 'left',
+    KeyD: 'right',
+    ArrowRight: 'right'
+};
+
+/**
+ * Closest point to `p` on the boundary of a convex polygon, and whether `p` lies inside it
+ */
+function closestOnPolygon(p, points) {
+    let best = null;
+    let bestDistance = Infinity;
+    // Inside when `p` is on the same side of every edge (either winding)
+    let winding = 0;
+    let inside = true;
+    points.forEach((a, i) => {
+        const b = points[(i + 1) % points.length];
+        const ab = { x: b.x - a.x, z: b.z - a.z };
+        const lengthSq = ab.x * ab.x + ab.z * ab.z;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * ab.x + (p.z - a.z) * ab.z) / lengthSq)) : 0;
+        const q = { x: a.x + ab.x * t, z: a.z + ab.z * t };
+        const distance = Math.hypot(p.x - q.x, p.z - q.z);
+        if (distance < bestDistance) {
+            best = q;
+            bestDistance = distance;
+        }
+        const side = Math.sign(ab.x * (p.z - a.z) - ab.z * (p.x - a.x));
+        if (side === 0) return;
+        if (winding === 0) winding = side;
+        else if (side !== winding) inside = false;
+    });
+    return { point: best, distance: bestDistance, inside };
+}
+
+/**
+ * Rectangle from -halfX..halfX / -halfZ..halfZ (around `centreX`) in a local frame, placed by `transforms`
+ * (applied innermost first, each { position, rotation } as for toLevelSpace)
+ */
+function placedRectangle(centreX, halfX, halfZ, transforms) {
+    return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sz]) => transforms.reduce(
+        (point, { position, rotation }) => toLevelSpace(point, position, rotation),
+        { x: centreX + sx * halfX, z: sz * halfZ }
+    ));
+}
+
+const placement = (object) => ({ position: { x: object.position.x, z: object.position.z }, rotation: object.rotation.y });
+
+/**
+ * Level-space outlines (convex polygons) the walker cannot enter
+ */
+export function levelObstacles(level) {
+    const obstacles = [];
+    const addWall = (wall, transforms) => {
+        wall.getBlocks()
+            .filter(block => block.bottom < STEP_HEIGHT)
+            .forEach(block => {
+                const centre = -wall.width / 2 + (block.from + block.to) / 2;
+                obstacles.push(placedRectangle(centre, (block.to - block.from) / 2, wall.depth / 2, transforms));
+            });
+    };
+
+    level.rooms.forEach(room => {
+        const roomPlacement = placement(room.group);
+        room.walls.forEach(wall => addWall(wall, [placement(wall.mesh), roomPlacement]));
+        room.furnitureList.forEach(furniture => {
+            const size = furniture.getSize();
+            if (size.y < STEP_HEIGHT) return;
+            obstacles.push(placedRectangle(0, size.x / 2, size.z / 2, [placement(furniture.root), roomPlacement]));
+        });
+    });
+    level.walls.forEach(wall => addWall(wall, [placement(wall.mesh)]));
+    return obstacles;
+}
+
+export class WalkthroughControls extends EventDispatcher {
+    constructor(camera, domElement) {
+        super();
+        this.camera = camera;
+        this.domElement = domElement;
+        this.enabled = false;
+        this.eyeHeight = 1.6;
+        this.speed = 1.5; // m/s
+
+        this.layout = null;
+        this.level = null; // Level walked on; null until placed
+        this.position = { x: 0, z: 0 }; // Level space
+        this.yaw = 0;
+        this.pitch = 0;
+        this.moves = new Set();
+        this.dragging = null;
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        window.addEventListener('keydown', this.onKeyDown);
+        window.addEventListener('keyup', this.onKeyUp);
+        domElement.addEventListener('pointerdown', this.onPointerDown);
+        domElement.addEventListener('pointermove', this.onPointerMove);
+        domElement.addEventListener('pointerup', this.onPointerUp);
+    }
+
+    /**
+     * True while a move key is held (the camera keeps moving without further input)
+     */
+    get moving() {
+        return this.enabled && this.moves.size > 0;
+    }
+
+    /**
+     * A new layout forgets the previous walk
+     */
+    setLayout(layout) {
+        this.layout = layout;
+        this.level = null;
+    }
+
+    /**
+     * Start walking: where the last walk stopped, or in the room under `lookAt` (level space), or the first room
+     */
+    enter(lookAt = null) {
+        this.enabled = true;
+        if (!this.level || !this.layout || !this.layout.levels.includes(this.level)) {
+            this.placeInitially(lookAt);
+        }
+        this.camera.rotation.order = 'YXZ';
+        this.updateCamera();
+    }
+
+    exit() {
+        this.enabled = false;
+        this.moves.clear();
+        this.dragging = null;
+        this.camera.rotation.order = 'XYZ';
+    }
+
+    placeInitially(lookAt) {
+        this.level = null;
+        if (!this.layout) return;
+        const rooms = this.layout.levels.flatMap(level => level.rooms.map(room => ({
+            level,
+            outline: planFootprint(room.getPlan())
+        })));
+        if (rooms.length === 0) return;
+
+        const under = lookAt && rooms.find(room => pointInPolygon(lookAt, room.outline));
+        const start = under || rooms[0];
+        this.level = start.level;
+        this.position = under ? { x: lookAt.x, z: lookAt.z } : labelPoint(start.outline);
+        this.resolveCollisions();
+    }
+
+    /**
+     * Jump to a point picked on the plan (e.g. a click on a room's floor)
+     * @param {THREE.Object3D} object Object hit, used to find its level
+     * @param {THREE.Vector3} point World-space hit point
+     * @returns {object|null} The room teleported into
+     */
+    teleport(object, point) {
+        if (!this.layout) return null;
+        let level = null;
+        for (let node = object; node && !level; node = node.parent) {
+            level = this.layout.levels.find(candidate => candidate.group === node) || null;
+        }
+        if (!level) return null;
+
+        const target = { x: point.x - level.group.position.x, z: point.z - level.group.position.z };
+        const room = level.rooms.find(candidate => pointInPolygon(target, planFootprint(candidate.getPlan())));
+        if (!room) return null;
+
+        this.level = level;
+        this.position = target;
+        this.resolveCollisions();
+        this.updateCamera();
+        return room;
+    }
+
+    update(delta) {
+        if (!this.enabled || !this.level) return;
+        if (this.moves.size > 0) {
+            const forward = { x: -Math.sin(this.yaw), z: -Math.cos(this.yaw) };
+            const right = { x: Math.cos(this.yaw), z: -Math.sin(this.yaw) };
+            const along = (this.moves.has('forward') ? 1 : 0) - (this.moves.has('back') ? 1 : 0);
+            const across = (this.moves.has('right') ? 1 : 0) - (this.moves.has('left') ? 1 : 0);
+            const length = Math.hypot(along, across);
+            if (length > 0) {
+                // Small steps so a fast frame cannot jump across a thin wall
+                const distance = this.speed * Math.min(delta, 0.1);
+                const steps = Math.max(1, Math.ceil(distance / (PLAYER_RADIUS / 2)));
+                for (let i = 0; i < steps; i++) {
+                    this.position.x += ((forward.x * along + right.x * across) / length) * (distance / steps);
+                    this.position.z += ((forward.z * along + right.z * across) / length) * (distance / steps);
+                    this.resolveCollisions();
+                }
+            }
+        }
+        this.updateCamera();
+    }
+
+    /**
+     * Push the walker out of every obstacle it overlaps
+     */
+    resolveCollisions() {
+        if (!this.level) return;
+        const obstacles = levelObstacles(this.level);
+        for (let pass = 0; pass < COLLISION_PASSES; pass++) {
+            let moved = false;
+            obstacles.forEach(outline => {
+                const { point, distance, inside } = closestOnPolygon(this.position, outline);
+                if (!inside && distance >= PLAYER_RADIUS) return;
+                // Out along the nearest edge (from inside) or straight away from the contact point
+                const away = distance > 1e-9
+                    ? { x: (this.position.x - point.x) / distance, z: (this.position.z - point.z) / distance }
+                    : { x: 1, z: 0 };
+                const sign = inside ? -1 : 1;
+                const push = inside ? distance + PLAYER_RADIUS : PLAYER_RADIUS - distance;
+                this.position.x += away.x * sign * push;
+                this.position.z += away.z * sign * push;
+                moved = true;
+            });
+            if (!moved) break;
+        }
+    }
+
+    updateCamera() {
+        if (!this.level) return;
+        this.camera.position.set(
+            this.position.x + this.level.group.position.x,
+            this.level.group.position.y + this.eyeHeight,
+            this.position.z + this.level.group.position.z
+        );
+        this.camera.rotation.set(this.pitch, this.yaw, 0, 'YXZ');
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    isTyping(event) {
+        return ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName);
+    }
+
+    onKeyDown(event) {
+        const move = MOVE_KEYS[event.code];
+        if (!this.enabled || !move || this.isTyping(event) || event.ctrlKey || event.metaKey) return;
+        event.preventDefault(); // Arrow keys would scroll the page
+        this.moves.add(move);
+        this.dispatchEvent({ type: 'change' });
+    }
+
+    onKeyUp(event) {
+        const move = MOVE_KEYS[event.code];
+        if (move) this.moves.delete(move);
+    }
+
+    onPointerDown(event) {
+        if (!this.enabled) return;
+        this.dragging = { x: event.clientX, y: event.clientY };
+    }
+
+    onPointerMove(event) {
+        if (!this.enabled || !this.dragging) return;
+        this.yaw -= (event.clientX - this.dragging.x) * LOOK_SPEED;
+        this.pitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, this.pitch - (event.clientY - this.dragging.y) * LOOK_SPEED));
+        this.dragging = { x: event.clientX, y: event.clientY };
+        this.updateCamera();
+    }
+
+    onPointerUp() {
+        this.dragging = null;
+    }
+
+    dispose() {
+        window.removeEventListener('keydown', this.onKeyDown);
+        window.removeEventListener('keyup', this.onKeyUp);
+        this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+        this.domElement.removeEventListener('pointermove', this.onPointerMove);
+        this.domElement.removeEventListener('pointerup', this.onPointerUp);
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * Room Adjacency
+ * Detects walls shared by neighbouring rooms of one level and builds the door connectivity graph.
+ * Works on plain room "plans": { footprint, position: {x, z}, rotation, openings } where footprint
+ * is in room space and position/rotation place the room on its level (rotation is about +Y, radians).
+ */
+
+import { footprintEdges } from './roomGeometry.js';
+
+const DEFAULT_TOLERANCE = 0.05;
+
+/**
+ * Same transform three.js applies for `group.rotation.y = rotation` followed by `group.position`.
+ */
+export function toLevelSpace(point, position = { x: 0, z: 0 }, rotation = 0) {
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    return {
+        x: point.x * cos + point.z * sin + position.x,
+        z: -point.x * sin + point.z * cos + position.z
+    };
+}
+
+export function planFootprint(plan) {
+    return plan.footprint.map(p => toLevelSpace(p, plan.position, plan.rotation));
+}
+
+/**
+ * Remove `cuts` ([from, to] pairs) from the interval [start, end]. Returns the remaining pieces.
+ */
+export function subtractIntervals(start, end, cuts) {
+    let pieces = [[start, end]];
+    cuts.forEach(([from, to]) => {
+        pieces = pieces.flatMap(([a, b]) => {
+            if (to <= a || from >= b) return [[a, b]];
+            const rest = [];
+            if (from > a) rest.push([a, from]);
+            if (to < b) rest.push([to, b]);
+            return rest;
+        });
+    });
+    return pieces.filter(([a, b]) => b - a > 1e-6);
+}
+
+function edgeFrame(edge) {
+    const dx = edge.end.x - edge.start.x;
+    const dz = edge.end.z - edge.start.z;
+    return { origin: edge.start, dir: { x: dx / edge.length, z: dz / edge.length }, length: edge.length };
+}
+
+function project(frame, point) {
+    const px = point.x - frame.origin.x;
+    const pz = point.z - frame.origin.z;
+    return {
+        along: px * frame.dir.x + pz * frame.dir.z,
+        across: Math.abs(px * frame.dir.z - pz * frame.dir.x)
+    };
+}
+
+/**
+ * Overlap of two collinear edges, as parameter ranges along each edge, or null.
+ */
+function edgeOverlap(edgeA, edgeB, tolerance) {
+    const frameA = edgeFrame(edgeA);
+    const frameB = edgeFrame(edgeB);
+    const s = project(frameA, edgeB.start);
+    const e = project(frameA, edgeB.end);
+    if (s.across > tolerance || e.across > tolerance) return null;
+
+    const from = Math.max(0, Math.min(s.along, e.along));
+    const to = Math.min(frameA.length, Math.max(s.along, e.along));
+    if (to - from <= tolerance) return null;
+
+    // Map the overlap back onto edge B
+    const pointAt = (t) => ({ x: frameA.origin.x + frameA.dir.x * t, z: frameA.origin.z + frameA.dir.z * t });
+    const b1 = project(frameB, pointAt(from)).along;
+    const b2 = project(frameB, pointAt(to)).along;
+
+    return {
+        rangeA: [from, to],
+        rangeB: [Math.max(0, Math.min(b1, b2)), Math.min(frameB.length, Math.max(b1, b2))],
+        frameA,
+        frameB
+    };
+}
+
+/**
+ * @param {Array} plans Room plans of one level
+ * @returns {{
+ *   sharedWalls: Array<{ owner, neighbour, ownerWall, neighbourWall, ownerRange, neighbourRange }>,
+ *   rooms: Array<{ skipped: Array<{wall, from, to}>, adopted: Array<object> }>,
+ *   connections: Array<{ from, to, wall, opening }>
+ * }}
+ *   The lower-indexed room owns a shared wall; the neighbour skips that stretch and its openings there
+ *   are adopted by the owner (`adopted` entries are owner-edge openings with `fromRoom` set).
+ *   Connections link room indices through doors; `to` is null for doors leading outside.
+ */
+export function analyzeAdjacency(plans, { tolerance = DEFAULT_TOLERANCE } = {}) {
+    const edges = plans.map(plan => footprintEdges(planFootprint(plan)));
+    const result = {
+        sharedWalls: [],
+        rooms: plans.map(() => ({ skipped: [], adopted: [] })),
+        connections: []
+    };
+
+    for (let i = 0; i < plans.length; i++) {
+        for (let j = i + 1; j < plans.length; j++) {
+            edges[i].forEach(edgeA => {
+                edges[j].forEach(edgeB => {
+                    const overlap = edgeOverlap(edgeA, edgeB, tolerance);
+                    if (!overlap) return;
+
+                    result.sharedWalls.push({
+                        owner: i,
+                        neighbour: j,
+                        ownerWall: edgeA.index,
+                        neighbourWall: edgeB.index,
+                        ownerRange: overlap.rangeA,
+                        neighbourRange: overlap.rangeB
+                    });
+                    result.rooms[j].skipped.push({ wall: edgeB.index, from: overlap.rangeB[0], to: overlap.rangeB[1] });
+
+                    // Hand the neighbour's openings on the shared stretch over to the owner's wall
+                    (plans[j].openings || []).forEach(opening => {
+                        if (opening.wall !== edgeB.index) return;
+                        const centre = opening.offset + opening.width / 2;
+                        if (centre < overlap.rangeB[0] || centre > overlap.rangeB[1]) return;
+
+                        const frameB = overlap.frameB;
+                        const point = { x: frameB.origin.x + frameB.dir.x * centre, z: frameB.origin.z + frameB.dir.z * centre };
+                        const along = project(overlap.frameA, point).along;
+                        const offset = Math.min(Math.max(along - opening.width / 2, 0), edgeA.length - opening.width);
+                        result.rooms[i].adopted.push({ ...opening, wall: edgeA.index, offset, fromRoom: j });
+                    });
+                });
+            });
+        }
+    }
+
+    // Doors: a door on a shared stretch connects owner and neighbour, any other door leads outside
+    plans.forEach((plan, i) => {
+        const skipped = result.rooms[i].skipped;
+        const ownOpenings = (plan.openings || []).filter(opening => {
+            const centre = opening.offset + opening.width / 2;
+            return !skipped.some(s => s.wall === opening.wall && centre >= s.from && centre <= s.to);
+        });
+
+        [...ownOpenings, ...result.rooms[i].adopted].forEach(opening => {
+            if (opening.type !== 'door') return;
+            const centre = opening.offset + opening.width / 2;
+            const shared = result.sharedWalls.find(s =>
+                s.owner === i && s.ownerWall === opening.wall && centre >= s.ownerRange[0] && centre <= s.ownerRange[1]
+            );
+            const { fromRoom, ...door } = opening;
+            result.connections.push({ from: i, to: shared ? shared.neighbour : null, wall: opening.wall, opening: door });
+        });
+    });
+
+    return result;
+}
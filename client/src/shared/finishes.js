@@ -0,0 +1,69 @@
+/**
+ * Finishes Catalogue
+ * Paints, woods, tiles and carpets that layouts assign to room surfaces and to furniture material slots:
+ *
+ *   { "name": "Living Room", "finishes": { "walls": "paint-sage", "floor": "wood-oak" }, "furniture": [
+ *       { "name": "Sofa", "modelUrl": "/models/sofa.glb", "finishes": { "Frame": "wood-walnut" } } ] }
+ *
+ * A furniture slot is the name of a material in its model; ALL_MATERIALS ("*") covers the materials no other
+ * slot names (and the placeholder box). Entries are plain data: the client draws textured finishes from their
+ * `pattern` (see client/src/FinishMaterials.js), where `size` is the metres one repeat of the pattern covers.
+ *
+ * This module must stay free of three.js / React imports so Node can load it as well.
+ */
+
+export const FINISH_CATEGORIES = Object.freeze(['paint', 'wood', 'tile', 'carpet']);
+
+export const ROOM_SURFACES = Object.freeze(['walls', 'floor']);
+
+export const ALL_MATERIALS = '*';
+
+// Surfaces each category suits. Wall blocks are scaled unit cubes without real-world texture coordinates,
+// so walls only take untextured paint.
+const CATEGORY_SURFACES = Object.freeze({
+    paint: Object.freeze(['walls', 'furniture']),
+    wood: Object.freeze(['floor', 'furniture']),
+    tile: Object.freeze(['floor']),
+    carpet: Object.freeze(['floor'])
+});
+
+const finish = (id, name, category, color, options = {}) => Object.freeze({ id, name, category, color, roughness: 0.8, ...options });
+const planks = (seam) => Object.freeze({ type: 'planks', size: 1.2, seam });
+const tiles = (size, grout) => Object.freeze({ type: 'tiles', size, grout });
+const pile = Object.freeze({ type: 'pile', size: 0.5 });
+
+export const FINISHES = Object.freeze([
+    finish('paint-chalk-white', 'Chalk White', 'paint', '#f5f5f5'),
+    finish('paint-warm-grey', 'Warm Grey', 'paint', '#c9c3b8'),
+    finish('paint-sage', 'Sage', 'paint', '#a9b8a0'),
+    finish('paint-duck-egg', 'Duck Egg', 'paint', '#a8c6c4'),
+    finish('paint-terracotta', 'Terracotta', 'paint', '#c77b58'),
+    finish('paint-navy', 'Navy', 'paint', '#2f3e5c', { roughness: 0.6 }),
+    finish('wood-oak', 'Oak', 'wood', '#c8a06a', { roughness: 0.6, pattern: planks('#8a6a40') }),
+    finish('wood-walnut', 'Walnut', 'wood', '#6b4a32', { roughness: 0.55, pattern: planks('#3e2a1c') }),
+    finish('wood-ash', 'Whitewashed Ash', 'wood', '#ddc9a3', { roughness: 0.65, pattern: planks('#a8936c') }),
+    finish('tile-white', 'White Ceramic', 'tile', '#f0f0ee', { roughness: 0.3, pattern: tiles(0.3, '#c8c8c8') }),
+    finish('tile-slate', 'Slate', 'tile', '#4a4f55', { roughness: 0.7, pattern: tiles(0.6, '#2e3136') }),
+    finish('tile-terracotta', 'Terracotta Quarry', 'tile', '#b5643e', { roughness: 0.75, pattern: tiles(0.2, '#d9c3a5') }),
+    finish('carpet-oatmeal', 'Oatmeal', 'carpet', '#cbbfa8', { roughness: 1, pattern: pile }),
+    finish('carpet-charcoal', 'Charcoal', 'carpet', '#4a4a4a', { roughness: 1, pattern: pile }),
+    finish('carpet-denim', 'Denim', 'carpet', '#51607a', { roughness: 1, pattern: pile })
+]);
+
+export function findFinish(id) {
+    return FINISHES.find(entry => entry.id === id) || null;
+}
+
+/**
+ * @param {string} surface 'walls', 'floor' or 'furniture'
+ */
+export function finishSuits(entry, surface) {
+    return CATEGORY_SURFACES[entry.category].includes(surface);
+}
+
+/**
+ * Catalogue entries for a surface, in catalogue order
+ */
+export function finishesFor(surface) {
+    return FINISHES.filter(entry => finishSuits(entry, surface));
+}
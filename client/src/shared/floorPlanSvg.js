@@ -0,0 +1,280 @@
+/**
+ * Floor Plan SVG
+ * Renders one level of a layout document (the JSON Layout3D.fromJSON consumes) as a printable top-down plan:
+ * walls with their thickness and door / window symbols, room names with their area, furniture footprints
+ * and chains of dimension lines along the top and left. Layout X/Z map to SVG x/y (north up = -Z) and the
+ * drawing is in metres (the viewBox), so the same output can be scaled freely.
+ */
+
+import { normalizeLayout } from './layoutSchema.js';
+import { footprintEdges, furnitureSize, labelPoint, pointInPolygon, polygonArea, roomFootprint } from './roomGeometry.js';
+import { analyzeAdjacency, planFootprint, subtractIntervals, toLevelSpace } from './adjacency.js';
+import { wallJoints } from './wallGraph.js';
+
+const STYLE = `
+    .wall { fill: #333; }
+    .floor { fill: #fafafa; stroke: none; }
+    .opening { fill: none; stroke: #333; stroke-width: 0.02; }
+    .furniture { fill: #e8e8e8; stroke: #777; stroke-width: 0.02; }
+    .furniture-label { font-size: 0.18px; fill: #555; }
+    .room-label { font-size: 0.3px; font-weight: bold; fill: #222; }
+    .room-area { font-size: 0.22px; fill: #555; }
+    .dimension { fill: none; stroke: #666; stroke-width: 0.015; }
+    .dimension-label { font-size: 0.2px; fill: #444; }
+    .title { font-size: 0.4px; font-weight: bold; fill: #222; }
+    text { font-family: Arial, Helvetica, sans-serif; text-anchor: middle; dominant-baseline: middle; }
+`;
+
+// Distance of the two dimension rows from the plan, and the margin around everything (metres)
+const DIMENSION_OFFSET = 0.6;
+const DIMENSION_SPACING = 0.5;
+const MARGIN = 0.5;
+
+const round = (value) => String(Number(value.toFixed(3)));
+const points = (list) => list.map(p => `${round(p.x)},${round(p.z)}`).join(' ');
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+/**
+ * Rectangle of `thickness` around the line from `start` along `dir`, between `from` and `to` on each face
+ * (`left` / `right` give per-face [from, to] so mitred ends can differ)
+ */
+function wallPolygon(start, dir, thickness, left, right) {
+    const normal = { x: -dir.z, z: dir.x };
+    const at = (t, side) => ({
+        x: start.x + dir.x * t + normal.x * side * thickness / 2,
+        z: start.z + dir.z * t + normal.z * side * thickness / 2
+    });
+    return [at(left[0], 1), at(left[1], 1), at(right[1], -1), at(right[0], -1)];
+}
+
+class PlanBuilder {
+    constructor() {
+        this.layers = { floors: [], walls: [], openings: [], furniture: [], labels: [], dimensions: [] };
+        this.bounds = { minX: Infinity, minZ: Infinity, maxX: -Infinity, maxZ: -Infinity };
+    }
+
+    include(list) {
+        list.forEach(p => {
+            this.bounds.minX = Math.min(this.bounds.minX, p.x);
+            this.bounds.maxX = Math.max(this.bounds.maxX, p.x);
+            this.bounds.minZ = Math.min(this.bounds.minZ, p.z);
+            this.bounds.maxZ = Math.max(this.bounds.maxZ, p.z);
+        });
+    }
+
+    wall(polygon) {
+        this.include(polygon);
+        this.layers.walls.push(`<polygon class="wall" points="${points(polygon)}"/>`);
+    }
+
+    /**
+     * Door leaf and swing (towards `inside`) or window sill lines, across an opening from `a` to `b`
+     */
+    opening(opening, a, b, thickness, inside) {
+        const width = Math.hypot(b.x - a.x, b.z - a.z);
+        const dir = { x: (b.x - a.x) / width, z: (b.z - a.z) / width };
+        if (opening.type === 'window') {
+            const normal = { x: -dir.z, z: dir.x };
+            [-1, 0, 1].forEach(side => {
+                const shift = (side * thickness) / 2;
+                this.layers.openings.push(
+                    `<line class="opening" x1="${round(a.x + normal.x * shift)}" y1="${round(a.z + normal.z * shift)}" ` +
+                    `x2="${round(b.x + normal.x * shift)}" y2="${round(b.z + normal.z * shift)}"/>`
+                );
+            });
+            return;
+        }
+        // Hinged at `a`: the open leaf stands perpendicular to the wall, the swing arcs back to `b`
+        const leaf = { x: a.x + inside.x * width, z: a.z + inside.z * width };
+        const sweep = dir.x * inside.z - dir.z * inside.x > 0 ? 0 : 1;
+        this.layers.openings.push(
+            `<line class="opening" x1="${round(a.x)}" y1="${round(a.z)}" x2="${round(leaf.x)}" y2="${round(leaf.z)}"/>`,
+            `<path class="opening" d="M ${round(leaf.x)} ${round(leaf.z)} A ${round(width)} ${round(width)} 0 0 ${sweep} ${round(b.x)} ${round(b.z)}"/>`
+        );
+    }
+
+    text(className, point, value, rotate = false) {
+        const transform = rotate ? ` transform="rotate(-90 ${round(point.x)} ${round(point.z)})"` : '';
+        return `<text class="${className}" x="${round(point.x)}" y="${round(point.z)}"${transform}>${escapeXml(value)}</text>`;
+    }
+
+    /**
+     * Chains of dimensions through `stops` (sorted positions along X or Z) plus the overall length
+     */
+    dimensionRows(stops, axis, edge) {
+        const unique = stops
+            .sort((a, b) => a - b)
+            .filter((value, i, list) => i === 0 || value - list[i - 1] > 0.05);
+        if (unique.length < 2) return;
+        const rows = [unique];
+        if (unique.length > 2) rows.push([unique[0], unique[unique.length - 1]]);
+
+        rows.forEach((row, r) => {
+            const offset = edge - DIMENSION_OFFSET - r * DIMENSION_SPACING;
+            // (along, across) -> plan point; X dimensions run along the top, Z dimensions down the left
+            const at = (along, across) => (axis === 'x' ? { x: along, z: across } : { x: across, z: along });
+            const line = (p, q) => `<line class="dimension" x1="${round(p.x)}" y1="${round(p.z)}" x2="${round(q.x)}" y2="${round(q.z)}"/>`;
+            const tick = 0.08;
+
+            this.layers.dimensions.push(line(at(row[0], offset), at(row[row.length - 1], offset)));
+            row.forEach(value => {
+                this.layers.dimensions.push(
+                    line(at(value, edge - 0.1), at(value, offset - 0.1)),
+                    line(at(value - tick, offset + tick), at(value + tick, offset - tick))
+                );
+            });
+            for (let i = 0; i + 1 < row.length; i++) {
+                const label = at((row[i] + row[i + 1]) / 2, offset - 0.15);
+                this.layers.dimensions.push(this.text('dimension-label', label, (row[i + 1] - row[i]).toFixed(2), axis === 'z'));
+            }
+        });
+    }
+}
+
+/**
+ * @param {object} layoutJson Layout document (flat `rooms` or `levels`); derived documents must be resolved first
+ * @param {object} [options]
+ * @param {number} [options.level] Index of the level to draw
+ * @param {number} [options.pixelsPerMetre] Size of the SVG (its width/height attributes); the viewBox is in metres
+ * @param {boolean} [options.furniture] Draw furniture footprints
+ * @param {boolean} [options.dimensions] Draw dimension lines
+ * @returns {string} SVG document
+ * @throws {LayoutValidationError} For invalid documents; Error for a missing level
+ */
+export function renderFloorPlanSvg(layoutJson, { level: levelIndex = 0, pixelsPerMetre = 50, furniture = true, dimensions = true } = {}) {
+    const layout = normalizeLayout(layoutJson);
+    const level = layout.levels[levelIndex];
+    if (!level) {
+        throw new Error(`Layout ${layout.id || layout.name} has no level ${levelIndex}.`);
+    }
+
+    const plan = new PlanBuilder();
+    const plans = level.rooms.map(room => ({
+        footprint: roomFootprint(room),
+        position: room.position,
+        rotation: room.rotation,
+        openings: room.openings
+    }));
+    const adjacency = analyzeAdjacency(plans);
+    const roomStops = { x: [], z: [] };
+
+    level.rooms.forEach((room, i) => {
+        const outline = planFootprint(plans[i]);
+        const thickness = room.wallThickness;
+        plan.layers.floors.push(`<polygon class="floor" points="${points(outline)}"/>`);
+        outline.forEach(p => {
+            roomStops.x.push(p.x);
+            roomStops.z.push(p.z);
+        });
+
+        // Same wall pieces as Room.generateWalls: shared stretches are drawn by their owner, with its openings
+        const { skipped, adopted } = adjacency.rooms[i];
+        const openings = [...room.openings, ...adopted];
+        footprintEdges(outline).forEach(edge => {
+            if (edge.length < 1e-9) return;
+            const dir = { x: (edge.end.x - edge.start.x) / edge.length, z: (edge.end.z - edge.start.z) / edge.length };
+            const normal = { x: -dir.z, z: dir.x };
+            const middle = { x: (edge.start.x + edge.end.x) / 2 + normal.x * 0.01, z: (edge.start.z + edge.end.z) / 2 + normal.z * 0.01 };
+            const inside = pointInPolygon(middle, outline) ? normal : { x: -normal.x, z: -normal.z };
+            const at = (t) => ({ x: edge.start.x + dir.x * t, z: edge.start.z + dir.z * t });
+
+            const cuts = skipped.filter(stretch => stretch.wall === edge.index).map(stretch => [stretch.from, stretch.to]);
+            subtractIntervals(0, edge.length, cuts).forEach(([from, to]) => {
+                const start = from < 1e-6 ? -thickness / 2 : from;
+                const end = to > edge.length - 1e-6 ? edge.length + thickness / 2 : to;
+                const pieceOpenings = openings.filter(opening => {
+                    const centre = opening.offset + opening.width / 2;
+                    return opening.wall === edge.index && centre >= from && centre <= to;
+                });
+                subtractIntervals(start, end, pieceOpenings.map(o => [o.offset, o.offset + o.width])).forEach(([a, b]) => {
+                    plan.wall(wallPolygon(edge.start, dir, thickness, [a, b], [a, b]));
+                });
+                pieceOpenings.forEach(opening => {
+                    plan.opening(opening, at(opening.offset), at(opening.offset + opening.width), thickness, inside);
+                });
+            });
+        });
+
+        if (furniture) {
+            room.furniture.forEach(item => {
+                const { x: width, z: depth } = furnitureSize(item);
+                const centre = toLevelSpace({ x: item.position.x, z: item.position.z }, room.position, room.rotation);
+                const angle = room.rotation + item.rotation.y;
+                const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sz]) =>
+                    toLevelSpace({ x: (sx * width) / 2, z: (sz * depth) / 2 }, centre, angle)
+                );
+                plan.include(corners);
+                plan.layers.furniture.push(
+                    `<polygon class="furniture" points="${points(corners)}"/>`,
+                    plan.text('furniture-label', centre, item.name)
+                );
+            });
+        }
+
+        const label = labelPoint(outline);
+        plan.layers.labels.push(
+            plan.text('room-label', { x: label.x, z: label.z - 0.2 }, room.name),
+            plan.text('room-area', { x: label.x, z: label.z + 0.2 }, `${polygonArea(outline).toFixed(1)} m²`)
+        );
+    });
+
+    // Free-standing walls, mitred where they meet (as in the 3D view)
+    const joints = wallJoints(level.walls.map(wall => ({ start: wall.start, end: wall.end, thickness: wall.thickness })));
+    level.walls.forEach((wall, i) => {
+        const length = Math.hypot(wall.end.x - wall.start.x, wall.end.z - wall.start.z);
+        if (length < 1e-9) return;
+        const dir = { x: (wall.end.x - wall.start.x) / length, z: (wall.end.z - wall.start.z) / length };
+        const openings = wall.openings || [];
+        const pieces = subtractIntervals(0, length, openings.map(o => [o.offset, o.offset + o.width]));
+        pieces.forEach(([a, b]) => {
+            const face = (key) => [a < 1e-6 ? -joints[i].start[key] : a, b > length - 1e-6 ? length + joints[i].end[key] : b];
+            plan.wall(wallPolygon(wall.start, dir, wall.thickness, face('left'), face('right')));
+        });
+        const at = (t) => ({ x: wall.start.x + dir.x * t, z: wall.start.z + dir.z * t });
+        openings.forEach(opening => {
+            plan.opening(opening, at(opening.offset), at(opening.offset + opening.width), wall.thickness, { x: -dir.z, z: dir.x });
+        });
+        [wall.start, wall.end].forEach(p => {
+            roomStops.x.push(p.x);
+            roomStops.z.push(p.z);
+        });
+    });
+
+    if (plan.bounds.minX === Infinity) {
+        plan.include([{ x: -1, z: -1 }, { x: 1, z: 1 }]);
+    }
+    const { minX, minZ, maxX, maxZ } = plan.bounds;
+    if (dimensions) {
+        plan.dimensionRows(roomStops.x, 'x', minZ);
+        plan.dimensionRows(roomStops.z, 'z', minX);
+    }
+
+    // Room for the dimension rows and the title
+    const reserve = dimensions ? DIMENSION_OFFSET + DIMENSION_SPACING + 0.4 : 0;
+    const view = {
+        x: minX - reserve - MARGIN,
+        z: minZ - reserve - MARGIN - 0.6,
+        width: maxX - minX + reserve + 2 * MARGIN,
+        height: maxZ - minZ + reserve + 2 * MARGIN + 0.6
+    };
+    const title = layout.levels.length > 1 ? `${layout.name} – ${level.name}` : layout.name;
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${round(view.x)} ${round(view.z)} ${round(view.width)} ${round(view.height)}" ` +
+            `width="${Math.round(view.width * pixelsPerMetre)}" height="${Math.round(view.height * pixelsPerMetre)}">`,
+        `<style>${STYLE}</style>`,
+        `<rect x="${round(view.x)}" y="${round(view.z)}" width="${round(view.width)}" height="${round(view.height)}" fill="#fff"/>`,
+        plan.text('title', { x: view.x + view.width / 2, z: view.z + 0.4 }, title),
+        ...plan.layers.floors,
+        ...plan.layers.furniture,
+        ...plan.layers.walls,
+        ...plan.layers.openings,
+        ...plan.layers.labels,
+        ...plan.layers.dimensions,
+        '</svg>',
+        ''
+    ].join('\n');
+}
@@ -0,0 +1,185 @@
+/**
+ * Layout Overlays
+ * A derived layout ("staging package") is stored as a base id plus a list of operations instead of a full copy:
+ *
+ *   { "id": "living-room-family", "name": "Living Room (Family)", "extends": "living-room", "overlay": [
+ *       { "op": "removeFurniture", "room": "Main Hall", "furniture": "Sofa" },
+ *       { "op": "addFurniture", "room": "Main Hall", "furniture": { "name": "Play Mat", ... } },
+ *       { "op": "replaceFurniture", "room": "Main Hall", "furniture": "Table", "with": { "name": "Dining Table", ... } },
+ *       { "op": "resizeRoom", "room": "Main Hall", "width": 24, "depth": 18 },
+ *       { "op": "setCamera", "cameraView": { "position": {...}, "target": {...} } }
+ *   ] }
+ *
+ * Rooms and furniture are referenced by `id` or, failing that, `name` (first match).
+ * A replacement keeps the position/rotation/scale of the piece it replaces unless it sets its own.
+ * Operations work on the stored JSON, so flat `rooms` and `levels` documents are both supported.
+ */
+
+import { LayoutValidationError, normalizeFurniture } from './layoutSchema.js';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isReference = (value) => typeof value === 'string' && value.trim() !== '';
+
+const TRANSFORM_KEYS = ['position', 'rotation', 'scale'];
+
+/**
+ * Per-operation field checks. Each reports problems through `error(field, message)`.
+ */
+const OPERATIONS = {
+    addFurniture(op, error) {
+        checkRoom(op, error);
+        checkFurnitureData(op.furniture, 'furniture', error);
+    },
+    removeFurniture(op, error) {
+        checkRoom(op, error);
+        if (!isReference(op.furniture)) error('furniture', 'must be a furniture id or name');
+    },
+    replaceFurniture(op, error) {
+        checkRoom(op, error);
+        if (!isReference(op.furniture)) error('furniture', 'must be a furniture id or name');
+        checkFurnitureData(op.with, 'with', error);
+    },
+    resizeRoom(op, error) {
+        checkRoom(op, error);
+        if (op.width === undefined && op.depth === undefined) error('', 'must set width and/or depth');
+        ['width', 'depth'].forEach(key => {
+            if (op[key] !== undefined && !(typeof op[key] === 'number' && Number.isFinite(op[key]) && op[key] > 0)) {
+                error(key, 'must be > 0');
+            }
+        });
+    },
+    setCamera(op, error) {
+        if (!isPlainObject(op.cameraView)) error('cameraView', 'must be an object');
+    }
+};
+
+function checkRoom(op, error) {
+    if (!isReference(op.room)) error('room', 'must be a room id or name');
+}
+
+function checkFurnitureData(data, field, error) {
+    if (!isPlainObject(data)) {
+        error(field, 'must be an object');
+        return;
+    }
+    // A replacement may omit its name and transform; both are inherited from the replaced piece
+    const probe = field === 'with' ? { name: 'replacement', ...data } : data;
+    try {
+        normalizeFurniture(probe, '');
+    } catch (err) {
+        if (!(err instanceof LayoutValidationError)) throw err;
+        err.errors.forEach(e => error(`${field}${e.path}`, e.message));
+    }
+}
+
+/**
+ * Check the shape of an overlay without a base document.
+ * @returns {Array<{path: string, message: string}>}
+ */
+export function validateOverlay(overlay, basePath = '/overlay') {
+    if (!Array.isArray(overlay)) {
+        return [{ path: basePath, message: 'must be an array' }];
+    }
+    const errors = [];
+    overlay.forEach((op, i) => {
+        const path = `${basePath}/${i}`;
+        if (!isPlainObject(op)) {
+            errors.push({ path, message: 'must be an object' });
+            return;
+        }
+        // Own keys only: inherited names such as `constructor` or `toString` are not operations
+        if (typeof op.op !== 'string' || !Object.hasOwn(OPERATIONS, op.op)) {
+            errors.push({ path: `${path}/op`, message: `must be one of ${Object.keys(OPERATIONS).join(', ')}` });
+            return;
+        }
+        OPERATIONS[op.op](op, (field, message) => errors.push({ path: field ? `${path}/${field}` : path, message }));
+    });
+    return errors;
+}
+
+function documentRooms(doc) {
+    if (Array.isArray(doc.levels)) {
+        return doc.levels.flatMap(level => (isPlainObject(level) && Array.isArray(level.rooms) ? level.rooms : []));
+    }
+    return Array.isArray(doc.rooms) ? doc.rooms : [];
+}
+
+function findIndex(items, ref) {
+    // Prefer an id match so a piece named like another one's id cannot shadow it
+    const byId = items.findIndex(item => isPlainObject(item) && item.id === ref);
+    return byId !== -1 ? byId : items.findIndex(item => isPlainObject(item) && item.name === ref);
+}
+
+/**
+ * Apply `overlay` to a copy of the base layout document.
+ * @returns {object} The derived document (still carrying the base id/name; callers set their own)
+ * @throws {LayoutValidationError} For malformed operations or references to unknown rooms/furniture
+ */
+export function applyOverlay(baseDoc, overlay, basePath = '/overlay') {
+    const shapeErrors = validateOverlay(overlay, basePath);
+    if (shapeErrors.length > 0) {
+        throw new LayoutValidationError(shapeErrors);
+    }
+
+    const doc = JSON.parse(JSON.stringify(baseDoc));
+    const rooms = documentRooms(doc);
+    const errors = [];
+
+    overlay.forEach((op, i) => {
+        const path = `${basePath}/${i}`;
+        if (op.op === 'setCamera') {
+            doc.cameraView = JSON.parse(JSON.stringify(op.cameraView));
+            return;
+        }
+
+        const room = rooms[findIndex(rooms, op.room)];
+        if (!room) {
+            errors.push({ path: `${path}/room`, message: `references unknown room "${op.room}"` });
+            return;
+        }
+
+        if (op.op === 'resizeRoom') {
+            if (room.footprint !== undefined) {
+                errors.push({ path: `${path}/room`, message: `"${op.room}" has a footprint and cannot be resized` });
+                return;
+            }
+            if (op.width !== undefined) room.width = op.width;
+            if (op.depth !== undefined) room.depth = op.depth;
+            return;
+        }
+
+        if (!Array.isArray(room.furniture)) room.furniture = [];
+        if (op.op === 'addFurniture') {
+            room.furniture.push(JSON.parse(JSON.stringify(op.furniture)));
+            return;
+        }
+
+        const index = findIndex(room.furniture, op.furniture);
+        if (index === -1) {
+            errors.push({ path: `${path}/furniture`, message: `references unknown furniture "${op.furniture}" in "${op.room}"` });
+            return;
+        }
+        if (op.op === 'removeFurniture') {
+            room.furniture.splice(index, 1);
+        } else {
+            const replaced = room.furniture[index];
+            const kept = { name: replaced.name };
+            TRANSFORM_KEYS.forEach(key => {
+                if (replaced[key] !== undefined) kept[key] = replaced[key];
+            });
+            room.furniture[index] = { ...kept, ...JSON.parse(JSON.stringify(op.with)) };
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new LayoutValidationError(errors);
+    }
+    return doc;
+}
+
+/**
+ * True for stored documents that extend another layout
+ */
+export function isDerivedLayout(doc) {
+    return isPlainObject(doc) && doc.extends !== undefined;
+}
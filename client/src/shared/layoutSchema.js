@@ -0,0 +1,634 @@
+/**
+ * Layout Schema
+ * Single source of truth for the layout JSON format. Used by the server on write and by
+ * `Layout3D.fromJSON` on hydrate. Errors carry JSON-pointer paths, e.g.
+ * `/rooms/0/furniture/2/scale/x must be > 0`.
+ *
+ * This module must stay free of three.js / React imports so Node can load it as well.
+ */
+
+import { roomFootprint, footprintEdges, footprintBounds, polygonArea, isSimplePolygon } from './roomGeometry.js';
+import { ROOM_SURFACES, findFinish, finishSuits } from './finishes.js';
+
+/**
+ * Defaults applied to optional fields. This is the only place they are defined.
+ */
+export const DEFAULTS = Object.freeze({
+    room: Object.freeze({
+        // Only used for rooms without a `footprint`; polygon rooms derive width/depth from their bounds
+        width: 20,
+        depth: 20,
+        wallHeight: 3.5,
+        wallThickness: 0.5,
+        // Placement on the level: `position` is { x, z }, `rotation` is radians about the vertical axis
+        position: Object.freeze({ x: 0, z: 0 }),
+        rotation: 0
+    }),
+    // Storeys of a multi-level layout. A level's floor sits at `elevation`, its slab spans the
+    // `slabThickness` below it, and `ceilingHeight` is the default wallHeight of its rooms.
+    // Levels without an elevation are stacked on top of the previous one.
+    level: Object.freeze({
+        elevation: 0,
+        ceilingHeight: 3.5,
+        slabThickness: 0.3
+    }),
+    // Free-standing walls of a level (`start`/`end` points), e.g. from a DXF import. Their height defaults
+    // to the level's ceilingHeight.
+    wall: Object.freeze({
+        thickness: 0.2
+    }),
+    // Heights above the floor, per opening type
+    opening: Object.freeze({
+        door: Object.freeze({ sillHeight: 0, headHeight: 2.1 }),
+        window: Object.freeze({ sillHeight: 0.9, headHeight: 2.1 })
+    }),
+    // Furniture with `dimensions` (metres) has its model fitted to that size; without, the model is scaled so
+    // its largest side is 1 unit. `pivot` is the point of the model placed at `position`: 'centre' of its
+    // bounding box, 'bottom-centre' (stands on the floor at y = 0) or the model's own 'origin'.
+    furniture: Object.freeze({
+        type: 'Furniture',
+        modelUrl: null,
+        dimensions: null,
+        pivot: 'centre',
+        position: Object.freeze({ x: 0, y: 0, z: 0 }),
+        rotation: Object.freeze({ x: 0, y: 0, z: 0 }),
+        scale: Object.freeze({ x: 1, y: 1, z: 1 })
+    }),
+    // Stops of a guided tour: seconds spent flying to the bookmark, then seconds held there
+    tourStop: Object.freeze({
+        transition: 2,
+        dwell: 4
+    })
+});
+
+export const FURNITURE_PIVOTS = Object.freeze(['centre', 'bottom-centre', 'origin']);
+
+export class LayoutValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid layout: ${errors.map(formatError).join('; ')}`);
+        this.name = 'LayoutValidationError';
+        this.errors = errors;
+    }
+}
+
+export function formatError(error) {
+    return `${error.path || '/'} ${error.message}`;
+}
+
+/**
+ * Collects errors while walking a document.
+ */
+class Context {
+    constructor() {
+        this.errors = [];
+    }
+
+    error(path, message) {
+        this.errors.push({ path, message });
+    }
+}
+
+// --- Primitive checks (each returns the value to keep, reporting on failure) ---
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function checkObject(ctx, value, path) {
+    if (!isPlainObject(value)) {
+        ctx.error(path, 'must be an object');
+        return false;
+    }
+    return true;
+}
+
+function checkString(ctx, value, path, { required = false } = {}) {
+    if (value === undefined || value === null) {
+        if (required) ctx.error(path, 'is required');
+        return;
+    }
+    if (typeof value !== 'string') {
+        ctx.error(path, 'must be a string');
+    } else if (required && value.trim() === '') {
+        ctx.error(path, 'must not be empty');
+    }
+}
+
+function checkNumber(ctx, value, path, { min, exclusiveMin } = {}) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        ctx.error(path, 'must be a number');
+        return false;
+    }
+    if (exclusiveMin !== undefined && !(value > exclusiveMin)) {
+        ctx.error(path, `must be > ${exclusiveMin}`);
+        return false;
+    }
+    if (min !== undefined && value < min) {
+        ctx.error(path, `must be >= ${min}`);
+        return false;
+    }
+    return true;
+}
+
+function normalizeVector3(ctx, value, path, fallback, numberRules) {
+    if (value === undefined || value === null) return { ...fallback };
+    if (!checkObject(ctx, value, path)) return { ...fallback };
+    ['x', 'y', 'z'].forEach(axis => checkNumber(ctx, value[axis], `${path}/${axis}`, numberRules));
+    return { x: value.x, y: value.y, z: value.z };
+}
+
+function normalizeArray(ctx, value, path, { required = false } = {}) {
+    if (value === undefined || value === null) {
+        if (required) ctx.error(path, 'must be an array');
+        return [];
+    }
+    if (!Array.isArray(value)) {
+        ctx.error(path, 'must be an array');
+        return [];
+    }
+    return value;
+}
+
+// --- Entity schemas ---
+
+function normalizeCameraView(ctx, value, path) {
+    if (value === undefined || value === null) return null;
+    if (!checkObject(ctx, value, path)) return null;
+    return {
+        ...value,
+        position: normalizeVector3(ctx, value.position, `${path}/position`, { x: 0, y: 20, z: 30 }),
+        target: normalizeVector3(ctx, value.target, `${path}/target`, { x: 0, y: 0, z: 0 })
+    };
+}
+
+/**
+ * Named viewpoints: { id, name, position, target } (camera position and the point it looks at).
+ * Ids are unique within the layout; tours refer to bookmarks by id.
+ */
+function normalizeBookmarks(ctx, value, path) {
+    const ids = new Set();
+    return normalizeArray(ctx, value, path).map((bookmark, i) => {
+        const itemPath = `${path}/${i}`;
+        if (!checkObject(ctx, bookmark, itemPath)) return null;
+        checkString(ctx, bookmark.id, `${itemPath}/id`, { required: true });
+        checkString(ctx, bookmark.name, `${itemPath}/name`, { required: true });
+        if (typeof bookmark.id === 'string') {
+            if (ids.has(bookmark.id)) ctx.error(`${itemPath}/id`, `duplicates bookmark "${bookmark.id}"`);
+            ids.add(bookmark.id);
+        }
+        ['position', 'target'].forEach(key => {
+            if (bookmark[key] === undefined) ctx.error(`${itemPath}/${key}`, 'is required');
+        });
+        return {
+            ...bookmark,
+            position: normalizeVector3(ctx, bookmark.position, `${itemPath}/position`, { x: 0, y: 0, z: 0 }),
+            target: normalizeVector3(ctx, bookmark.target, `${itemPath}/target`, { x: 0, y: 0, z: 0 })
+        };
+    });
+}
+
+/**
+ * Guided tours: { id, name, stops: [{ bookmark, caption, transition, dwell }] }, where `bookmark` is a
+ * bookmark id and `transition` / `dwell` are seconds (see DEFAULTS.tourStop)
+ */
+function normalizeTours(ctx, value, path, bookmarks) {
+    const bookmarkIds = new Set(bookmarks.filter(Boolean).map(bookmark => bookmark.id));
+    const ids = new Set();
+    const defaults = DEFAULTS.tourStop;
+    return normalizeArray(ctx, value, path).map((tour, i) => {
+        const tourPath = `${path}/${i}`;
+        if (!checkObject(ctx, tour, tourPath)) return null;
+        checkString(ctx, tour.id, `${tourPath}/id`, { required: true });
+        checkString(ctx, tour.name, `${tourPath}/name`, { required: true });
+        if (typeof tour.id === 'string') {
+            if (ids.has(tour.id)) ctx.error(`${tourPath}/id`, `duplicates tour "${tour.id}"`);
+            ids.add(tour.id);
+        }
+        const stops = normalizeArray(ctx, tour.stops, `${tourPath}/stops`, { required: true });
+        if (Array.isArray(tour.stops) && stops.length === 0) {
+            ctx.error(`${tourPath}/stops`, 'must not be empty');
+        }
+        return {
+            ...tour,
+            stops: stops.map((stop, j) => {
+                const stopPath = `${tourPath}/stops/${j}`;
+                if (!checkObject(ctx, stop, stopPath)) return null;
+                checkString(ctx, stop.bookmark, `${stopPath}/bookmark`, { required: true });
+                if (typeof stop.bookmark === 'string' && !bookmarkIds.has(stop.bookmark)) {
+                    ctx.error(`${stopPath}/bookmark`, `references unknown bookmark "${stop.bookmark}"`);
+                }
+                checkString(ctx, stop.caption, `${stopPath}/caption`);
+                ['transition', 'dwell'].forEach(key => {
+                    if (stop[key] !== undefined) checkNumber(ctx, stop[key], `${stopPath}/${key}`, { min: 0 });
+                });
+                return {
+                    ...stop,
+                    caption: stop.caption ?? '',
+                    transition: stop.transition ?? defaults.transition,
+                    dwell: stop.dwell ?? defaults.dwell
+                };
+            })
+        };
+    });
+}
+
+/**
+ * Provenance of an imported layout, e.g. { format: 'dxf', fileName, units: 'mm', unitsSource: 'header',
+ * scale: 0.001, origin: { x, y } } where `scale` is metres per drawing unit and `origin` the drawing point
+ * placed at the layout origin.
+ */
+function normalizeSource(ctx, value, path) {
+    if (value === undefined || value === null) return null;
+    if (!checkObject(ctx, value, path)) return null;
+    checkString(ctx, value.format, `${path}/format`, { required: true });
+    if (value.scale !== undefined) {
+        checkNumber(ctx, value.scale, `${path}/scale`, { exclusiveMin: 0 });
+    }
+    return value;
+}
+
+/**
+ * Distance-based level of detail: [{ modelUrl, distance }] variants of the furniture's model, each shown once
+ * the camera is at least `distance` metres away (the furniture's own modelUrl is used closer than the first)
+ */
+function normalizeLod(ctx, value, path, modelUrl) {
+    const variants = normalizeArray(ctx, value, path);
+    if (variants.length > 0 && !modelUrl) ctx.error(path, 'requires a modelUrl');
+    let previous = 0;
+    return variants.map((variant, i) => {
+        const itemPath = `${path}/${i}`;
+        if (!checkObject(ctx, variant, itemPath)) return null;
+        checkString(ctx, variant.modelUrl, `${itemPath}/modelUrl`, { required: true });
+        if (checkNumber(ctx, variant.distance, `${itemPath}/distance`, { exclusiveMin: 0 })) {
+            if (variant.distance <= previous) ctx.error(`${itemPath}/distance`, `must be > ${previous} (the previous variant)`);
+            previous = variant.distance;
+        }
+        return { ...variant };
+    });
+}
+
+/**
+ * Finishes from the catalogue (shared/finishes.js) by surface: { walls, floor } for rooms (`surfaces`), or by
+ * material slot for furniture (`surfaces` null)
+ */
+function normalizeFinishes(ctx, value, path, surfaces = null) {
+    if (value === undefined || value === null) return {};
+    if (!checkObject(ctx, value, path)) return {};
+    Object.entries(value).forEach(([slot, id]) => {
+        const itemPath = `${path}/${slot}`;
+        if (surfaces && !surfaces.includes(slot)) {
+            ctx.error(itemPath, `is not a surface (use ${surfaces.map(surface => `"${surface}"`).join(', ')})`);
+            return;
+        }
+        checkString(ctx, id, itemPath, { required: true });
+        if (typeof id !== 'string') return;
+        const entry = findFinish(id);
+        const surface = surfaces ? slot : 'furniture';
+        if (!entry) {
+            ctx.error(itemPath, `references unknown finish "${id}"`);
+        } else if (!finishSuits(entry, surface)) {
+            ctx.error(itemPath, `"${id}" (${entry.category}) cannot be used on ${surface}`);
+        }
+    });
+    return { ...value };
+}
+
+function furnitureSchema(ctx, data, path) {
+    if (!checkObject(ctx, data, path)) return null;
+    const defaults = DEFAULTS.furniture;
+
+    checkString(ctx, data.name, `${path}/name`, { required: true });
+    checkString(ctx, data.type, `${path}/type`);
+    checkString(ctx, data.modelUrl, `${path}/modelUrl`);
+    if (data.pivot !== undefined && !FURNITURE_PIVOTS.includes(data.pivot)) {
+        ctx.error(`${path}/pivot`, `must be one of ${FURNITURE_PIVOTS.map(pivot => `"${pivot}"`).join(', ')}`);
+    }
+    let dimensions = defaults.dimensions;
+    if (data.dimensions !== undefined && data.dimensions !== null) {
+        dimensions = normalizeVector3(ctx, data.dimensions, `${path}/dimensions`, { x: 1, y: 1, z: 1 }, { exclusiveMin: 0 });
+    }
+
+    return {
+        ...data,
+        type: data.type ?? defaults.type,
+        modelUrl: data.modelUrl ?? defaults.modelUrl,
+        dimensions,
+        pivot: data.pivot ?? defaults.pivot,
+        position: normalizeVector3(ctx, data.position, `${path}/position`, defaults.position),
+        rotation: normalizeVector3(ctx, data.rotation, `${path}/rotation`, defaults.rotation),
+        scale: normalizeVector3(ctx, data.scale, `${path}/scale`, defaults.scale, { exclusiveMin: 0 }),
+        lod: normalizeLod(ctx, data.lod, `${path}/lod`, data.modelUrl),
+        finishes: normalizeFinishes(ctx, data.finishes, `${path}/finishes`)
+    };
+}
+
+/**
+ * Polygon footprint: at least 3 {x, z} points, non-degenerate and not self-intersecting.
+ * @returns {Array|null} the points, or null when absent / invalid
+ */
+function normalizeFootprint(ctx, value, path) {
+    if (value === undefined || value === null) return null;
+    if (!Array.isArray(value) || value.length < 3) {
+        ctx.error(path, 'must be an array of at least 3 points');
+        return null;
+    }
+    const before = ctx.errors.length;
+    value.forEach((point, i) => {
+        if (!checkObject(ctx, point, `${path}/${i}`)) return;
+        checkNumber(ctx, point.x, `${path}/${i}/x`);
+        checkNumber(ctx, point.z, `${path}/${i}/z`);
+    });
+    if (ctx.errors.length > before) return null;
+
+    const points = value.map(p => ({ x: p.x, z: p.z }));
+    if (polygonArea(points) < 1e-6) {
+        ctx.error(path, 'must enclose a non-zero area');
+        return null;
+    }
+    if (!isSimplePolygon(points)) {
+        ctx.error(path, 'must not intersect itself');
+        return null;
+    }
+    return points;
+}
+
+/**
+ * Door / window cut out of wall `wall` (edge index of the footprint). `offset` is measured along the
+ * edge from its start point to the near side of the opening.
+ */
+function openingSchema(ctx, data, path, edges, wallHeight) {
+    if (!checkObject(ctx, data, path)) return null;
+
+    if (data.type !== 'door' && data.type !== 'window') {
+        ctx.error(`${path}/type`, 'must be "door" or "window"');
+        return null;
+    }
+    const defaults = DEFAULTS.opening[data.type];
+    const opening = {
+        ...data,
+        sillHeight: data.sillHeight ?? defaults.sillHeight,
+        headHeight: data.headHeight ?? defaults.headHeight
+    };
+
+    const validWall = Number.isInteger(opening.wall) && opening.wall >= 0 && opening.wall < edges.length;
+    if (!validWall) {
+        ctx.error(`${path}/wall`, `must be a wall index between 0 and ${edges.length - 1}`);
+    }
+    const validOffset = checkNumber(ctx, opening.offset, `${path}/offset`, { min: 0 });
+    const validWidth = checkNumber(ctx, opening.width, `${path}/width`, { exclusiveMin: 0 });
+    if (validWall && validOffset && validWidth && opening.offset + opening.width > edges[opening.wall].length + 1e-9) {
+        ctx.error(`${path}/width`, `must fit within wall ${opening.wall} (length ${+edges[opening.wall].length.toFixed(3)})`);
+    }
+
+    const validSill = checkNumber(ctx, opening.sillHeight, `${path}/sillHeight`, { min: 0 });
+    if (checkNumber(ctx, opening.headHeight, `${path}/headHeight`) && validSill) {
+        if (opening.headHeight <= opening.sillHeight) {
+            ctx.error(`${path}/headHeight`, `must be > sillHeight (${opening.sillHeight})`);
+        } else if (opening.headHeight > wallHeight) {
+            ctx.error(`${path}/headHeight`, `must be <= wallHeight (${wallHeight})`);
+        }
+    }
+    return opening;
+}
+
+function checkOpeningOverlaps(ctx, openings, path) {
+    openings.forEach((a, i) => {
+        openings.slice(i + 1).forEach((b, k) => {
+            if (!a || !b || a.wall !== b.wall) return;
+            if (a.offset < b.offset + b.width && b.offset < a.offset + a.width) {
+                ctx.error(`${path}/${i + 1 + k}`, `must not overlap opening ${i} on wall ${a.wall}`);
+            }
+        });
+    });
+}
+
+/**
+ * @param {object} [inherited] Defaults from the enclosing level (e.g. wallHeight = ceilingHeight)
+ */
+function roomSchema(ctx, data, path, inherited = {}) {
+    if (!checkObject(ctx, data, path)) return null;
+    const defaults = { ...DEFAULTS.room, ...inherited };
+
+    checkString(ctx, data.name, `${path}/name`, { required: true });
+
+    const footprint = normalizeFootprint(ctx, data.footprint, `${path}/footprint`);
+    let width = data.width ?? defaults.width;
+    let depth = data.depth ?? defaults.depth;
+    if (footprint) {
+        const bounds = footprintBounds(footprint);
+        width = bounds.maxX - bounds.minX;
+        depth = bounds.maxZ - bounds.minZ;
+    } else {
+        checkNumber(ctx, width, `${path}/width`, { exclusiveMin: 0 });
+        checkNumber(ctx, depth, `${path}/depth`, { exclusiveMin: 0 });
+    }
+
+    let position = { ...defaults.position };
+    if (data.position !== undefined && data.position !== null && checkObject(ctx, data.position, `${path}/position`)) {
+        checkNumber(ctx, data.position.x, `${path}/position/x`);
+        checkNumber(ctx, data.position.z, `${path}/position/z`);
+        position = { x: data.position.x, z: data.position.z };
+    }
+    const rotation = data.rotation ?? defaults.rotation;
+    checkNumber(ctx, rotation, `${path}/rotation`);
+
+    const wallHeight = data.wallHeight ?? defaults.wallHeight;
+    const wallThickness = data.wallThickness ?? defaults.wallThickness;
+    const validHeight = checkNumber(ctx, wallHeight, `${path}/wallHeight`, { exclusiveMin: 0 });
+    checkNumber(ctx, wallThickness, `${path}/wallThickness`, { exclusiveMin: 0 });
+
+    const edges = footprintEdges(roomFootprint({ footprint, width, depth }));
+    const openings = normalizeArray(ctx, data.openings, `${path}/openings`)
+        .map((item, i) => openingSchema(ctx, item, `${path}/openings/${i}`, edges, validHeight ? wallHeight : Infinity));
+    checkOpeningOverlaps(ctx, openings, `${path}/openings`);
+
+    const furniture = normalizeArray(ctx, data.furniture, `${path}/furniture`)
+        .map((item, i) => furnitureSchema(ctx, item, `${path}/furniture/${i}`));
+
+    const finishes = normalizeFinishes(ctx, data.finishes, `${path}/finishes`, ROOM_SURFACES);
+
+    const room = { ...data, width, depth, position, rotation, wallHeight, wallThickness, openings, furniture, finishes };
+    if (footprint) room.footprint = footprint;
+    return room;
+}
+
+function normalizePoint(ctx, value, path) {
+    if (!checkObject(ctx, value, path)) return null;
+    const validX = checkNumber(ctx, value.x, `${path}/x`);
+    const validZ = checkNumber(ctx, value.z, `${path}/z`);
+    return validX && validZ ? { x: value.x, z: value.z } : null;
+}
+
+/**
+ * Free-standing wall from `start` to `end` ({x, z} in level space). Its `openings` are measured from
+ * `start` and need no `wall` index.
+ * @param {object} [inherited] Defaults from the enclosing level ({ height: ceilingHeight })
+ */
+function wallSchema(ctx, data, path, inherited = {}) {
+    if (!checkObject(ctx, data, path)) return null;
+
+    const start = normalizePoint(ctx, data.start, `${path}/start`);
+    const end = normalizePoint(ctx, data.end, `${path}/end`);
+    if (start && end && Math.hypot(end.x - start.x, end.z - start.z) < 1e-6) {
+        ctx.error(`${path}/end`, 'must differ from start');
+    }
+
+    const height = data.height ?? inherited.height ?? DEFAULTS.level.ceilingHeight;
+    const thickness = data.thickness ?? DEFAULTS.wall.thickness;
+    const validHeight = checkNumber(ctx, height, `${path}/height`, { exclusiveMin: 0 });
+    checkNumber(ctx, thickness, `${path}/thickness`, { exclusiveMin: 0 });
+
+    const length = start && end ? Math.hypot(end.x - start.x, end.z - start.z) : Infinity;
+    const edges = [{ index: 0, length }];
+    const openings = normalizeArray(ctx, data.openings, `${path}/openings`)
+        .map((item, i) => openingSchema(ctx, { ...item, wall: 0 }, `${path}/openings/${i}`, edges, validHeight ? height : Infinity));
+    checkOpeningOverlaps(ctx, openings, `${path}/openings`);
+
+    return {
+        ...data,
+        start,
+        end,
+        height,
+        thickness,
+        openings: openings.map(opening => {
+            if (!opening) return opening;
+            const { wall, ...rest } = opening;
+            return rest;
+        })
+    };
+}
+
+/**
+ * @param {object|null} previous The normalized level below, used to stack levels without an elevation
+ */
+function levelSchema(ctx, data, path, previous = null) {
+    if (!checkObject(ctx, data, path)) return null;
+    const defaults = DEFAULTS.level;
+
+    checkString(ctx, data.name, `${path}/name`);
+    const ceilingHeight = data.ceilingHeight ?? defaults.ceilingHeight;
+    const slabThickness = data.slabThickness ?? defaults.slabThickness;
+    const validCeiling = checkNumber(ctx, ceilingHeight, `${path}/ceilingHeight`, { exclusiveMin: 0 });
+    const validSlab = checkNumber(ctx, slabThickness, `${path}/slabThickness`, { min: 0 });
+
+    let elevation = data.elevation;
+    if (elevation === undefined || elevation === null) {
+        elevation = previous && validSlab
+            ? previous.elevation + previous.ceilingHeight + slabThickness
+            : defaults.elevation;
+    }
+    checkNumber(ctx, elevation, `${path}/elevation`);
+
+    const inherited = validCeiling ? { wallHeight: ceilingHeight } : {};
+    const rooms = normalizeArray(ctx, data.rooms, `${path}/rooms`, { required: true })
+        .map((room, i) => roomSchema(ctx, room, `${path}/rooms/${i}`, inherited));
+    const walls = normalizeArray(ctx, data.walls, `${path}/walls`)
+        .map((wall, i) => wallSchema(ctx, wall, `${path}/walls/${i}`, validCeiling ? { height: ceilingHeight } : {}));
+
+    return { ...data, elevation, ceilingHeight, slabThickness, rooms, walls };
+}
+
+const defaultLevelName = (index) => `Level ${index + 1}`;
+
+/**
+ * A layout lists either `rooms` (a single storey, optionally with free-standing `walls`) or `levels`.
+ * The normalized value always has `levels`; flat `rooms`/`walls` become one level with default settings.
+ */
+function layoutSchema(ctx, data, path) {
+    if (!checkObject(ctx, data, path)) return null;
+
+    checkString(ctx, data.id, `${path}/id`);
+    checkString(ctx, data.name, `${path}/name`, { required: true });
+
+    const { rooms, walls, ...rest } = data;
+    let levels;
+    if (data.levels !== undefined) {
+        if (rooms !== undefined) {
+            ctx.error(`${path}/rooms`, 'must not be combined with levels');
+        }
+        if (walls !== undefined) {
+            ctx.error(`${path}/walls`, 'must not be combined with levels');
+        }
+        let previous = null;
+        levels = normalizeArray(ctx, data.levels, `${path}/levels`, { required: true })
+            .map((level, i) => {
+                const normalized = levelSchema(ctx, level, `${path}/levels/${i}`, previous);
+                if (normalized && !normalized.name) normalized.name = defaultLevelName(i);
+                previous = normalized || previous;
+                return normalized;
+            });
+    } else {
+        const ground = { ...DEFAULTS.level };
+        levels = [{
+            ...ground,
+            name: defaultLevelName(0),
+            rooms: normalizeArray(ctx, rooms, `${path}/rooms`, { required: true })
+                .map((room, i) => roomSchema(ctx, room, `${path}/rooms/${i}`, { wallHeight: ground.ceilingHeight })),
+            walls: normalizeArray(ctx, walls, `${path}/walls`)
+                .map((wall, i) => wallSchema(ctx, wall, `${path}/walls/${i}`, { height: ground.ceilingHeight }))
+        }];
+    }
+
+    const bookmarks = normalizeBookmarks(ctx, data.bookmarks, `${path}/bookmarks`);
+    return {
+        ...rest,
+        cameraView: normalizeCameraView(ctx, data.cameraView, `${path}/cameraView`),
+        bookmarks,
+        tours: normalizeTours(ctx, data.tours, `${path}/tours`, bookmarks),
+        source: normalizeSource(ctx, data.source, `${path}/source`),
+        levels
+    };
+}
+
+/**
+ * All rooms of a normalized layout, across levels.
+ */
+export function layoutRooms(layout) {
+    return (layout.levels || []).flatMap(level => (level ? level.rooms : []));
+}
+
+// --- Public API ---
+
+function run(schema, data, basePath) {
+    const ctx = new Context();
+    const value = schema(ctx, data, basePath);
+    return { valid: ctx.errors.length === 0, errors: ctx.errors, value };
+}
+
+function runOrThrow(schema, data, basePath) {
+    const result = run(schema, data, basePath);
+    if (!result.valid) {
+        throw new LayoutValidationError(result.errors);
+    }
+    return result.value;
+}
+
+/**
+ * Validate a layout document without throwing.
+ * @returns {{ valid: boolean, errors: Array<{path: string, message: string}>, value: object|null }}
+ *   `value` is the document with defaults filled in.
+ */
+export function validateLayout(data) {
+    return run(layoutSchema, data, '');
+}
+
+/**
+ * Validate a layout document and return it with defaults filled in.
+ * @throws {LayoutValidationError}
+ */
+export function normalizeLayout(data) {
+    return runOrThrow(layoutSchema, data, '');
+}
+
+/**
+ * Level / Room / Furniture variants for hydrating a fragment. `basePath` prefixes reported paths.
+ */
+export function normalizeLevel(data, basePath = '') {
+    return runOrThrow(levelSchema, data, basePath);
+}
+
+export function normalizeRoom(data, basePath = '') {
+    return runOrThrow(roomSchema, data, basePath);
+}
+
+export function normalizeFurniture(data, basePath = '') {
+    return runOrThrow(furnitureSchema, data, basePath);
+}
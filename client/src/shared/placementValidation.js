@@ -0,0 +1,183 @@
+/**
+ * Furniture Placement Checks
+ * Finds furniture that overlaps other furniture, runs into the walls of its room or stands outside it, and
+ * gaps too narrow to walk through. Works on layout JSON in plan: every piece is its bounding box (size from
+ * `furnitureSize`, turned by its rotation about Y) placed on its level, spanning the heights its pivot gives.
+ * Issues carry the JSON-pointer path of the furniture, e.g. `/rooms/0/furniture/2 "Sofa" overlaps "Table"`.
+ *
+ * This module must stay free of three.js / React imports so Node can load it as well.
+ */
+
+import { normalizeLayout } from './layoutSchema.js';
+import { footprintEdges, furnitureSize, pointInPolygon, roomFootprint, segmentsIntersect, signedArea } from './roomGeometry.js';
+import { planFootprint, toLevelSpace } from './adjacency.js';
+
+export const PLACEMENT_DEFAULTS = Object.freeze({
+    // Narrowest walkway (m) between two pieces, or a piece and a wall
+    minClearance: 0.6,
+    // Gaps up to this (m) are pieces placed against each other or a wall, not a walkway
+    contactGap: 0.15,
+    // Overlaps up to this (m) count as touching
+    tolerance: 0.02,
+    // Pieces lower than this (m), e.g. rugs, lie on the floor: they neither collide nor narrow a walkway
+    flatHeight: 0.05
+});
+
+/**
+ * Outline moved inwards by `distance` (the inner faces of walls centred on the outline)
+ */
+function insetPolygon(points, distance) {
+    const sign = signedArea(points) > 0 ? 1 : -1;
+    const lines = footprintEdges(points).map(edge => {
+        const dir = edge.length > 0
+            ? { x: (edge.end.x - edge.start.x) / edge.length, z: (edge.end.z - edge.start.z) / edge.length }
+            : { x: 1, z: 0 };
+        const inward = { x: -dir.z * sign, z: dir.x * sign };
+        return { point: { x: edge.start.x + inward.x * distance, z: edge.start.z + inward.z * distance }, dir };
+    });
+    return lines.map((line, i) => {
+        const previous = lines[(i - 1 + lines.length) % lines.length];
+        const denominator = previous.dir.x * line.dir.z - previous.dir.z * line.dir.x;
+        // Collinear edges: the corner just moves inwards
+        if (Math.abs(denominator) < 1e-9) return line.point;
+        const t = ((line.point.x - previous.point.x) * line.dir.z - (line.point.z - previous.point.z) * line.dir.x) / denominator;
+        return { x: previous.point.x + previous.dir.x * t, z: previous.point.z + previous.dir.z * t };
+    });
+}
+
+function pointSegmentDistance(p, a, b) {
+    const ab = { x: b.x - a.x, z: b.z - a.z };
+    const lengthSq = ab.x * ab.x + ab.z * ab.z;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * ab.x + (p.z - a.z) * ab.z) / lengthSq)) : 0;
+    return Math.hypot(p.x - (a.x + ab.x * t), p.z - (a.z + ab.z * t));
+}
+
+/**
+ * Shortest distance between the outlines of two polygons whose edges do not cross
+ */
+function outlineDistance(a, b) {
+    const towards = (points, other) => Math.min(...points.flatMap(p => footprintEdges(other).map(edge =>
+        pointSegmentDistance(p, edge.start, edge.end))));
+    return Math.min(towards(a, b), towards(b, a));
+}
+
+/**
+ * How far two convex polygons overlap along their least overlapping axis (<= 0 when they are apart)
+ */
+function overlapDepth(a, b) {
+    let depth = Infinity;
+    [a, b].forEach(polygon => footprintEdges(polygon).forEach(edge => {
+        const axis = { x: -(edge.end.z - edge.start.z), z: edge.end.x - edge.start.x };
+        const length = Math.hypot(axis.x, axis.z);
+        if (length < 1e-12) return;
+        const project = (points) => points.map(p => (p.x * axis.x + p.z * axis.z) / length);
+        const pa = project(a);
+        const pb = project(b);
+        depth = Math.min(depth, Math.min(Math.max(...pa), Math.max(...pb)) - Math.max(Math.min(...pa), Math.min(...pb)));
+    }));
+    return depth;
+}
+
+function edgesCross(a, b) {
+    const edgesB = footprintEdges(b);
+    return footprintEdges(a).some(edgeA => edgesB.some(edgeB => segmentsIntersect(edgeA.start, edgeA.end, edgeB.start, edgeB.end)));
+}
+
+/**
+ * Level-space corners of a piece's bounding box, each side pulled in by `shrink`
+ */
+function boxCorners(centre, angle, size, shrink = 0) {
+    const halfX = Math.max(size.x / 2 - shrink, 0);
+    const halfZ = Math.max(size.z / 2 - shrink, 0);
+    return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sz]) => toLevelSpace({ x: sx * halfX, z: sz * halfZ }, centre, angle));
+}
+
+/**
+ * Heights a piece spans: around its position for the 'centre' pivot, else upwards from it (models with an
+ * 'origin' pivot are assumed to be authored standing on their origin)
+ */
+function heightRange(item, height) {
+    const bottom = item.pivot === 'centre' ? item.position.y - height / 2 : item.position.y;
+    return { bottom, top: bottom + height };
+}
+
+const quote = (name) => `"${name}"`;
+
+/**
+ * Check the furniture placement of a layout document.
+ * @param {object} layoutJson Layout document (validated against the layout schema first)
+ * @param {object} [options] Overrides of PLACEMENT_DEFAULTS, plus:
+ * @param {function} [options.furnitureSize] `(furniture, { level, room, furniture })` → { x, y, z } in metres
+ *   for sizes known better than from the JSON (e.g. measured from loaded models); indices are into the
+ *   normalized levels
+ * @returns {{ valid: boolean, issues: Array<{ type: string, path: string, message: string, items: Array }>}}
+ *   `type` is 'outside', 'wall', 'overlap' or 'clearance'; `items` are the pieces involved
+ *   ({ path, level, room, furniture, name }), the one at `path` first
+ */
+export function checkPlacement(layoutJson, options = {}) {
+    const { minClearance, contactGap, tolerance, flatHeight } = { ...PLACEMENT_DEFAULTS, ...options };
+    const sizeOf = options.furnitureSize || furnitureSize;
+    const layout = normalizeLayout(layoutJson);
+    // Paths point into the document as written: flat `rooms` or `levels`
+    const roomPath = Array.isArray(layoutJson.levels)
+        ? (level, room) => `/levels/${level}/rooms/${room}`
+        : (level, room) => `/rooms/${room}`;
+    const issues = [];
+    const report = (type, items, message) => issues.push({ type, path: items[0].path, message, items });
+    const tooNarrow = (gap) => gap > contactGap && gap < minClearance;
+    const narrowMessage = (gap, what) => `leaves only ${gap.toFixed(2)} m to ${what} (walkways need ${minClearance} m)`;
+
+    layout.levels.forEach((level, levelIndex) => {
+        const pieces = [];
+        level.rooms.forEach((room, roomIndex) => {
+            const outline = planFootprint({ footprint: roomFootprint(room), position: room.position, rotation: room.rotation });
+            const interior = insetPolygon(outline, room.wallThickness / 2);
+
+            room.furniture.forEach((item, furnitureIndex) => {
+                const at = { level: levelIndex, room: roomIndex, furniture: furnitureIndex };
+                const size = sizeOf(item, at);
+                const centre = toLevelSpace({ x: item.position.x, z: item.position.z }, room.position, room.rotation);
+                const angle = room.rotation + item.rotation.y;
+                const piece = {
+                    ref: { path: `${roomPath(levelIndex, roomIndex)}/furniture/${furnitureIndex}`, ...at, name: item.name },
+                    roomIndex,
+                    outline: boxCorners(centre, angle, size),
+                    inner: boxCorners(centre, angle, size, tolerance),
+                    ...heightRange(item, size.y),
+                    flat: size.y < flatHeight
+                };
+                pieces.push(piece);
+
+                const name = quote(item.name);
+                if (!pointInPolygon(centre, outline)) {
+                    report('outside', [piece.ref], `${name} is outside ${room.name}`);
+                } else if (piece.inner.some(corner => !pointInPolygon(corner, interior)) || edgesCross(piece.inner, interior)) {
+                    report('wall', [piece.ref], `${name} runs into a wall of ${room.name}`);
+                } else if (!piece.flat) {
+                    const gap = outlineDistance(piece.outline, interior);
+                    if (tooNarrow(gap)) report('clearance', [piece.ref], `${name} ${narrowMessage(gap, `a wall of ${room.name}`)}`);
+                }
+            });
+        });
+
+        pieces.forEach((a, i) => pieces.slice(i + 1).forEach(b => {
+            if (a.flat || b.flat) return;
+            // Stacked pieces (a lamp on a table) share no height
+            if (Math.min(a.top, b.top) - Math.max(a.bottom, b.bottom) <= tolerance) return;
+            const depth = overlapDepth(a.outline, b.outline);
+            if (depth > tolerance) {
+                report('overlap', [a.ref, b.ref], `${quote(a.ref.name)} overlaps ${quote(b.ref.name)}`);
+                return;
+            }
+            if (a.roomIndex !== b.roomIndex) return;
+            const gap = depth > 0 ? 0 : outlineDistance(a.outline, b.outline);
+            if (tooNarrow(gap)) report('clearance', [a.ref, b.ref], `${quote(a.ref.name)} ${narrowMessage(gap, quote(b.ref.name))}`);
+        }));
+    });
+
+    return { valid: issues.length === 0, issues };
+}
+
+export function formatPlacementIssue(issue) {
+    return `${issue.path} ${issue.message}`;
+}
@@ -0,0 +1,160 @@
+/**
+ * Room Geometry
+ * 2D plan helpers working on layout JSON. Plans live in the XZ plane (three.js Y is up),
+ * points are plain { x, z } objects.
+ */
+
+/**
+ * Footprint of a width x depth rectangle centred at the origin. Edge order matches the walls
+ * the original rectangular rooms were built from: 0 = back (-z), 1 = right (+x), 2 = front (+z), 3 = left (-x).
+ */
+export function rectangleFootprint(width, depth) {
+    const hw = width / 2;
+    const hd = depth / 2;
+    return [
+        { x: -hw, z: -hd },
+        { x: hw, z: -hd },
+        { x: hw, z: hd },
+        { x: -hw, z: hd }
+    ];
+}
+
+/**
+ * Size in metres of a furniture document: its declared `dimensions` scaled by `scale`. Without dimensions the
+ * JSON only allows an estimate (placeholders are a 2 x 2 x 2 box, loaded models are normalized to fit a
+ * 1 x 1 x 1 box); the client measures loaded models instead (Furniture.getSize).
+ */
+export function furnitureSize(furniture) {
+    const unit = furniture.modelUrl ? 1 : 2;
+    const base = furniture.dimensions || { x: unit, y: unit, z: unit };
+    return { x: base.x * furniture.scale.x, y: base.y * furniture.scale.y, z: base.z * furniture.scale.z };
+}
+
+/**
+ * Footprint of a room document: its polygon if it has one, else its width x depth rectangle.
+ */
+export function roomFootprint(room) {
+    if (Array.isArray(room.footprint) && room.footprint.length >= 3) {
+        return room.footprint.map(p => ({ x: p.x, z: p.z }));
+    }
+    return rectangleFootprint(room.width, room.depth);
+}
+
+/**
+ * Edge i runs from point i to point i + 1 (wrapping around).
+ */
+export function footprintEdges(points) {
+    return points.map((start, index) => {
+        const end = points[(index + 1) % points.length];
+        const dx = end.x - start.x;
+        const dz = end.z - start.z;
+        return { index, start, end, length: Math.sqrt(dx * dx + dz * dz) };
+    });
+}
+
+/**
+ * Signed area (shoelace). Positive when the points wind from +x towards +z.
+ */
+export function signedArea(points) {
+    let sum = 0;
+    points.forEach((p, i) => {
+        const q = points[(i + 1) % points.length];
+        sum += p.x * q.z - q.x * p.z;
+    });
+    return sum / 2;
+}
+
+export function polygonArea(points) {
+    return Math.abs(signedArea(points));
+}
+
+export function footprintBounds(points) {
+    const xs = points.map(p => p.x);
+    const zs = points.map(p => p.z);
+    return {
+        minX: Math.min(...xs),
+        maxX: Math.max(...xs),
+        minZ: Math.min(...zs),
+        maxZ: Math.max(...zs)
+    };
+}
+
+function cross(o, a, b) {
+    return (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+}
+
+/**
+ * True when segments ab and cd properly cross (touching or collinear segments do not count).
+ */
+export function segmentsIntersect(a, b, c, d) {
+    const d1 = cross(c, d, a);
+    const d2 = cross(c, d, b);
+    const d3 = cross(a, b, c);
+    const d4 = cross(a, b, d);
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+/**
+ * True when no two non-adjacent edges cross.
+ */
+export function isSimplePolygon(points) {
+    const edges = footprintEdges(points);
+    for (let i = 0; i < edges.length; i++) {
+        for (let j = i + 1; j < edges.length; j++) {
+            const adjacent = j === i + 1 || (i === 0 && j === edges.length - 1);
+            if (adjacent) continue;
+            if (segmentsIntersect(edges[i].start, edges[i].end, edges[j].start, edges[j].end)) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+/**
+ * Even-odd point in polygon test.
+ */
+export function pointInPolygon(point, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.z > point.z) !== (b.z > point.z)
+            && point.x < ((b.x - a.x) * (point.z - a.z)) / (b.z - a.z) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * A point inside the outline for its name: the centroid, or for concave rooms where that falls outside,
+ * the middle of the widest span across the outline at the centroid's depth
+ */
+export function labelPoint(points) {
+    const area = signedArea(points);
+    let cx = 0;
+    let cz = 0;
+    points.forEach((p, i) => {
+        const q = points[(i + 1) % points.length];
+        const f = p.x * q.z - q.x * p.z;
+        cx += (p.x + q.x) * f;
+        cz += (p.z + q.z) * f;
+    });
+    const centroid = Math.abs(area) > 1e-12
+        ? { x: cx / (6 * area), z: cz / (6 * area) }
+        : { x: points[0].x, z: points[0].z };
+    if (pointInPolygon(centroid, points)) return centroid;
+
+    const crossings = [];
+    footprintEdges(points).forEach(({ start, end }) => {
+        if ((start.z > centroid.z) === (end.z > centroid.z)) return;
+        crossings.push(start.x + ((centroid.z - start.z) * (end.x - start.x)) / (end.z - start.z));
+    });
+    crossings.sort((a, b) => a - b);
+    let best = null;
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+        if (!best || crossings[i + 1] - crossings[i] > best[1] - best[0]) best = [crossings[i], crossings[i + 1]];
+    }
+    return best ? { x: (best[0] + best[1]) / 2, z: centroid.z } : centroid;
+}
@@ -0,0 +1,239 @@
+/**
+ * Wall Graph
+ * Clean-up and corner joints for free-standing wall segments ({ start: {x, z}, end: {x, z} } in level space):
+ * - endpoints closer than `tolerance` snap to one node
+ * - zero-length segments, duplicates and pieces lying on a room edge are dropped
+ * - collinear segments that touch or overlap are merged into one run
+ * wallJoints() then works out how far each wall end has to reach past its node so corners are mitred.
+ */
+
+import { subtractIntervals } from './adjacency.js';
+
+const DEFAULT_TOLERANCE = 0.01;
+
+// Longest mitre extension, in wall thicknesses (very acute corners would otherwise produce long spikes)
+const MAX_MITRE = 2;
+
+const cross = (a, b) => a.x * b.z - a.z * b.x;
+
+/**
+ * Endpoints within `tolerance` of an existing node become that node (grid lookup, cell = tolerance)
+ */
+class NodeIndex {
+    constructor(tolerance) {
+        this.tolerance = tolerance;
+        this.cells = new Map();
+    }
+
+    key(ix, iz) {
+        return `${ix},${iz}`;
+    }
+
+    snap(point) {
+        const ix = Math.floor(point.x / this.tolerance);
+        const iz = Math.floor(point.z / this.tolerance);
+        let best = null;
+        let bestDistance = this.tolerance;
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                for (const node of this.cells.get(this.key(ix + dx, iz + dz)) || []) {
+                    const distance = Math.hypot(node.x - point.x, node.z - point.z);
+                    if (distance <= bestDistance) {
+                        best = node;
+                        bestDistance = distance;
+                    }
+                }
+            }
+        }
+        if (best) return best;
+
+        const node = { x: point.x, z: point.z };
+        const key = this.key(ix, iz);
+        if (!this.cells.has(key)) this.cells.set(key, []);
+        this.cells.get(key).push(node);
+        return node;
+    }
+}
+
+/**
+ * Line of a segment, pointing towards +x (or +z when vertical) so opposite segments share a frame
+ */
+function lineFrame(start, end) {
+    let dx = end.x - start.x;
+    let dz = end.z - start.z;
+    const length = Math.hypot(dx, dz);
+    if (dx < -1e-12 || (Math.abs(dx) <= 1e-12 && dz < 0)) {
+        dx = -dx;
+        dz = -dz;
+    }
+    return { origin: start, dir: { x: dx / length, z: dz / length } };
+}
+
+const along = (frame, p) => (p.x - frame.origin.x) * frame.dir.x + (p.z - frame.origin.z) * frame.dir.z;
+const across = (frame, p) => Math.abs(cross(frame.dir, { x: p.x - frame.origin.x, z: p.z - frame.origin.z }));
+const pointAt = (frame, t) => ({ x: frame.origin.x + frame.dir.x * t, z: frame.origin.z + frame.dir.z * t });
+
+/**
+ * @param {Array<{start: {x, z}, end: {x, z}}>} segments
+ * @param {object} options
+ * @param {number} [options.tolerance] Snap / collinearity distance
+ * @param {Array<{start: {x, z}, end: {x, z}}>} [options.fixedEdges] Room edges: segments on them are removed
+ *   and endpoints near their corners snap onto them
+ * @returns {{ segments: Array<{start, end}>, stats: { before, after, snapped, duplicates, merged } }}
+ *   `duplicates` counts segments that were zero-length or completely covered, `merged` segments joined into a run
+ */
+export function cleanWallSegments(segments, { tolerance = DEFAULT_TOLERANCE, fixedEdges = [] } = {}) {
+    const stats = { before: segments.length, after: 0, snapped: 0, duplicates: 0, merged: 0 };
+    const nodes = new NodeIndex(tolerance);
+    fixedEdges.forEach(edge => {
+        nodes.snap(edge.start);
+        nodes.snap(edge.end);
+    });
+
+    // 1. Snap endpoints and drop segments that collapse
+    const snapped = [];
+    segments.forEach(segment => {
+        const start = nodes.snap(segment.start);
+        const end = nodes.snap(segment.end);
+        [[segment.start, start], [segment.end, end]].forEach(([point, node]) => {
+            if (point.x !== node.x || point.z !== node.z) stats.snapped++;
+        });
+        if (start === end) {
+            stats.duplicates++;
+            return;
+        }
+        snapped.push({ start, end });
+    });
+
+    // 2. Group segments lying on the same line
+    const lines = [];
+    const onLine = (frame, edge) => across(frame, edge.start) <= tolerance && across(frame, edge.end) <= tolerance;
+    snapped.forEach(segment => {
+        let line = lines.find(candidate => onLine(candidate.frame, segment));
+        if (!line) {
+            line = { frame: lineFrame(segment.start, segment.end), members: [] };
+            lines.push(line);
+        }
+        line.members.push(segment);
+    });
+
+    // 3. Merge overlapping / touching runs along each line and cut away what room edges already cover
+    const cleaned = [];
+    lines.forEach(({ frame, members }) => {
+        const intervals = members
+            .map(segment => {
+                const a = along(frame, segment.start);
+                const b = along(frame, segment.end);
+                return a <= b ? [a, b] : [b, a];
+            })
+            .sort((p, q) => p[0] - q[0]);
+
+        const runs = [];
+        intervals.forEach(([from, to]) => {
+            const run = runs[runs.length - 1];
+            if (run && from <= run.to + tolerance) {
+                if (to <= run.to + tolerance) {
+                    stats.duplicates++;
+                } else {
+                    stats.merged++;
+                    run.to = to;
+                }
+                return;
+            }
+            runs.push({ from, to });
+        });
+
+        const cuts = fixedEdges
+            .filter(edge => onLine(frame, edge))
+            .map(edge => {
+                const a = along(frame, edge.start);
+                const b = along(frame, edge.end);
+                return [Math.min(a, b) - tolerance, Math.max(a, b) + tolerance];
+            });
+        runs.forEach(run => {
+            const pieces = subtractIntervals(run.from, run.to, cuts)
+                .map(([from, to]) => [Math.max(from, run.from), Math.min(to, run.to)])
+                .filter(([from, to]) => to - from > tolerance);
+            if (pieces.length === 0) stats.duplicates++;
+            pieces.forEach(([from, to]) => {
+                cleaned.push({ start: nodes.snap(pointAt(frame, from)), end: nodes.snap(pointAt(frame, to)) });
+            });
+        });
+    });
+
+    stats.after = cleaned.length;
+    return {
+        segments: cleaned.map(segment => ({ start: { ...segment.start }, end: { ...segment.end } })),
+        stats
+    };
+}
+
+const leftOf = (v) => ({ x: -v.z, z: v.x });
+
+/**
+ * How far the two long faces of every wall end reach past (positive) or stop short of (negative) the node
+ * at that end. Two walls meeting at an angle are mitred; where three or more meet each end reaches into
+ * the others by half their thickness; free ends and straight continuations stay square.
+ * "left" is the face on the left of the wall's start -> end direction (seen from +Y).
+ * @param {Array<{start, end, thickness}>} walls
+ * @returns {Array<{ start: {left, right}, end: {left, right} }>}
+ */
+export function wallJoints(walls, { tolerance = 1e-6 } = {}) {
+    const joints = walls.map(() => ({ start: { left: 0, right: 0 }, end: { left: 0, right: 0 } }));
+    const nodes = new NodeIndex(Math.max(tolerance, 1e-9));
+    const ends = new Map();
+    walls.forEach((wall, index) => {
+        const length = Math.hypot(wall.end.x - wall.start.x, wall.end.z - wall.start.z);
+        if (length < 1e-9) return;
+        const dir = { x: (wall.end.x - wall.start.x) / length, z: (wall.end.z - wall.start.z) / length };
+        [['start', { x: dir.x, z: dir.z }], ['end', { x: -dir.x, z: -dir.z }]].forEach(([side, away]) => {
+            const node = nodes.snap(wall[side]);
+            if (!ends.has(node)) ends.set(node, []);
+            ends.get(node).push({ index, side, away, half: wall.thickness / 2 });
+        });
+    });
+
+    ends.forEach(meeting => {
+        if (meeting.length === 2) {
+            mitre(meeting[0], meeting[1], joints);
+        } else if (meeting.length > 2) {
+            meeting.forEach(end => {
+                const reach = Math.max(...meeting.filter(other => other !== end).map(other => other.half));
+                joints[end.index][end.side] = { left: reach, right: reach };
+            });
+        }
+    });
+    return joints;
+}
+
+/**
+ * Intersect the faces of `first` (arriving at the node) with those of `second` (leaving it)
+ */
+function mitre(first, second, joints) {
+    const a = { x: -first.away.x, z: -first.away.z };
+    const b = second.away;
+    const denominator = cross(a, b);
+    if (Math.abs(denominator) < 1e-6) return; // Straight on (flush) or folded back on itself
+
+    const limit = MAX_MITRE * Math.max(first.half, second.half) * 2;
+    const clamp = (value) => Math.max(-limit, Math.min(limit, value));
+    const extensions = [1, -1].map(sign => {
+        // Face of `first` at N + sign * half * left(a) + t * a meets face of `second` at N + sign * half * left(b) + s * b
+        const la = leftOf(a);
+        const lb = leftOf(b);
+        const r = {
+            x: sign * (second.half * lb.x - first.half * la.x),
+            z: sign * (second.half * lb.z - first.half * la.z)
+        };
+        return { t: clamp(cross(r, b) / denominator), s: clamp(cross(r, a) / denominator) };
+    });
+
+    // left(a) is the wall's left face when the node is its end, its right face when the node is its start
+    const [plus, minus] = extensions;
+    joints[first.index][first.side] = first.side === 'end'
+        ? { left: plus.t, right: minus.t }
+        : { left: minus.t, right: plus.t };
+    joints[second.index][second.side] = second.side === 'start'
+        ? { left: -plus.s, right: -minus.s }
+        : { left: -minus.s, right: -plus.s };
+}
@@ -1,7 +1,10 @@
 const express = require('express');
 const cors = require('cors');
-const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
+const { LayoutStore, StoreError, findLayout } = require('./layoutStore');
+const { RevisionStore } = require('./revisionStore');
+const { diffLayouts } = require('./layoutDiff');
 
 const app = express();
 const PORT = 5000;
@@ -9,38 +12,278 @@ const PORT = 5000;
 app.use(cors());
 app.use(express.json());
 
+// Pure layout modules shared with the client bundle (ES modules, hence the dynamic import)
+const sharedDir = path.join(__dirname, '..', 'client', 'src', 'shared');
+const loadShared = (name) => import(pathToFileURL(path.join(sharedDir, name)).href);
+let schema = null;
+let overlays = null;
+let floorPlans = null;
+let placement = null;
+
+/**
+ * Expand a derived document (`extends` + `overlay`) into a full layout, following chains of bases.
+ * The derived document's own top-level fields (id, name, ...) win over the base's.
+ */
+const resolveLayout = (layout, layouts, chain = []) => {
+    if (!overlays.isDerivedLayout(layout)) return layout;
+
+    if (chain.includes(layout.id)) {
+        throw new StoreError(400, `Layout ${layout.id} extends itself (${[...chain, layout.id].join(' -> ')})`);
+    }
+    const base = findLayout(layouts, layout.extends);
+    if (!base) {
+        throw new StoreError(400, `Base layout ${layout.extends} not found`);
+    }
+
+    const { extends: baseId, overlay, ...own } = layout;
+    let derived;
+    try {
+        derived = overlays.applyOverlay(resolveLayout(base, layouts, [...chain, layout.id]), overlay);
+    } catch (err) {
+        if (!(err instanceof schema.LayoutValidationError)) throw err;
+        throw new StoreError(400, `Invalid overlay on ${baseId}`, err.errors.map(schema.formatError));
+    }
+    return { ...derived, ...own };
+};
+
+/**
+ * Reject documents that the client could not hydrate. Derived documents are checked both as an
+ * overlay and, once applied to their base, as a full layout.
+ * With `meta.placement` (options for checkPlacement) furniture placement problems are rejected too.
+ */
+const validateLayout = (layout, layouts = {}, meta = {}) => {
+    let full = layout;
+    if (overlays.isDerivedLayout(layout)) {
+        const errors = overlays.validateOverlay(layout.overlay);
+        if (typeof layout.extends !== 'string' || layout.extends === '') {
+            errors.unshift({ path: '/extends', message: 'must be a layout id' });
+        }
+        if (errors.length > 0) {
+            throw new StoreError(400, 'Invalid layout', errors.map(schema.formatError));
+        }
+        full = resolveLayout(layout, { ...layouts, [layout.id]: layout });
+    }
+
+    const { valid, errors } = schema.validateLayout(full);
+    if (!valid) {
+        throw new StoreError(400, 'Invalid layout', errors.map(schema.formatError));
+    }
+
+    if (meta.placement) {
+        const { issues } = placement.checkPlacement(full, meta.placement);
+        if (issues.length > 0) {
+            throw new StoreError(400, 'Invalid furniture placement', issues.map(placement.formatPlacementIssue));
+        }
+    }
+};
+
 // Load layout data
 const layoutPath = path.join(__dirname, 'db', 'layout.json');
+const revisions = new RevisionStore(path.join(__dirname, 'db', 'revisions.json'));
+const store = new LayoutStore(layoutPath, { validate: validateLayout, resolve: resolveLayout, history: revisions });
 
-app.get('/api/layout/:id', (req, res) => {
-    const { id } = req.params;
+/**
+ * Express 4 does not forward rejected promises, so async handlers are wrapped here.
+ */
+const asyncRoute = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
 
-    console.log(`Received request for layout: ${id}`);
+const parseNonNegativeInt = (value, fallback, label) => {
+    if (value === undefined) return fallback;
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+        throw new StoreError(400, `${label} must be a non-negative integer`);
+    }
+    return parsed;
+};
 
-    fs.readFile(layoutPath, 'utf8', (err, data) => {
-        if (err) {
-            console.error(err);
-            return res.status(500).json({ error: 'Internal Server Error' });
-        }
+/**
+ * Revision metadata for a write. Clients identify the author with an `X-Author` header.
+ */
+const revisionMeta = (req) => ({ author: req.get('X-Author') || 'anonymous' });
 
-        try {
-            const jsonData = JSON.parse(data);
+/**
+ * Placement check options from `?clearance=` (minimum walkway in metres)
+ */
+const placementOptions = (req) => {
+    if (req.query.clearance === undefined) return {};
+    const minClearance = Number(req.query.clearance);
+    if (!Number.isFinite(minClearance) || minClearance < 0) {
+        throw new StoreError(400, 'clearance must be a non-negative number of metres');
+    }
+    return { minClearance };
+};
 
-            // Look up the specific layout by ID in the dictionary
-            const layout = jsonData[id];
+/**
+ * Metadata for a write: the revision author and, with `?checkPlacement=true`, the placement check to run
+ */
+const writeMeta = (req) => ({
+    ...revisionMeta(req),
+    placement: req.query.checkPlacement === 'true' ? placementOptions(req) : null
+});
 
-            if (layout) {
-                res.json(layout);
-            } else {
-                res.status(404).json({ error: 'Layout not found' });
-            }
-        } catch (parseErr) {
-            console.error(parseErr);
-            res.status(500).json({ error: 'Failed to parse layout data' });
-        }
+/**
+ * Send a saved layout, exposing its new revision number in a header so the body stays a plain layout.
+ */
+const sendSaved = (res, { layout, revision }, status = 200) => {
+    if (revision) res.set('X-Layout-Revision', String(revision.revision));
+    res.status(status).json(layout);
+};
+
+const requireLayoutBody = (req) => {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        throw new StoreError(400, 'Request body must be a layout object');
+    }
+    return req.body;
+};
+
+app.get('/api/layouts', asyncRoute(async (req, res) => {
+    const offset = parseNonNegativeInt(req.query.offset, 0, 'offset');
+    const limit = parseNonNegativeInt(req.query.limit, 20, 'limit');
+    const result = await store.list({ offset, limit: Math.min(limit, 100), name: req.query.name });
+    res.json(result);
+}));
+
+// `?resolve=true` returns derived layouts with their overlay applied
+app.get('/api/layouts/:id', asyncRoute(async (req, res) => {
+    const resolve = req.query.resolve === 'true';
+    res.json(resolve ? await store.getResolved(req.params.id) : await store.get(req.params.id));
+}));
+
+// 2D floor plan of one level: `?level=` (default 0), `?furniture=false` / `?dimensions=false` to leave those out
+app.get('/api/layouts/:id/plan.svg', asyncRoute(async (req, res) => {
+    const level = parseNonNegativeInt(req.query.level, 0, 'level');
+    const layout = await store.getResolved(req.params.id);
+    const levelCount = schema.normalizeLayout(layout).levels.length;
+    if (level >= levelCount) {
+        throw new StoreError(400, `level must be less than ${levelCount}`);
+    }
+    const svg = floorPlans.renderFloorPlanSvg(layout, {
+        level,
+        furniture: req.query.furniture !== 'false',
+        dimensions: req.query.dimensions !== 'false'
     });
-});
+    res.type('image/svg+xml').send(svg);
+}));
+
+// Furniture overlaps, furniture in walls or outside its room and too narrow walkways (`?clearance=` metres)
+app.get('/api/layouts/:id/placement', asyncRoute(async (req, res) => {
+    const options = placementOptions(req);
+    const layout = await store.getResolved(req.params.id);
+    const { valid, issues } = placement.checkPlacement(layout, options);
+    res.json({ id: req.params.id, valid, issues });
+}));
+
+app.post('/api/layouts', asyncRoute(async (req, res) => {
+    const saved = await store.create(requireLayoutBody(req), writeMeta(req));
+    console.log(`Created layout: ${saved.layout.id}`);
+    res.location(`/api/layouts/${saved.layout.id}`);
+    sendSaved(res, saved, 201);
+}));
+
+app.put('/api/layouts/:id', asyncRoute(async (req, res) => {
+    const saved = await store.replace(req.params.id, requireLayoutBody(req), writeMeta(req));
+    console.log(`Replaced layout: ${saved.layout.id}`);
+    sendSaved(res, saved);
+}));
+
+app.patch('/api/layouts/:id', asyncRoute(async (req, res) => {
+    const saved = await store.patch(req.params.id, requireLayoutBody(req), writeMeta(req));
+    console.log(`Patched layout: ${saved.layout.id}`);
+    sendSaved(res, saved);
+}));
+
+app.delete('/api/layouts/:id', asyncRoute(async (req, res) => {
+    await store.remove(req.params.id);
+    console.log(`Deleted layout: ${req.params.id}`);
+    res.status(204).end();
+}));
+
+// --- Revision History ---
+
+const parseRevision = (value, label) => {
+    const revision = Number(value);
+    if (!Number.isInteger(revision) || revision < 1) {
+        throw new StoreError(400, `${label} must be a positive revision number`);
+    }
+    return revision;
+};
+
+const getRevisionOrThrow = async (id, revision) => {
+    const entry = await revisions.get(id, revision);
+    if (!entry) {
+        throw new StoreError(404, `Revision ${revision} of layout ${id} not found`);
+    }
+    return entry;
+};
 
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
+app.get('/api/layouts/:id/revisions', asyncRoute(async (req, res) => {
+    res.json({ items: await revisions.list(req.params.id) });
+}));
+
+app.get('/api/layouts/:id/revisions/:revision', asyncRoute(async (req, res) => {
+    const revision = parseRevision(req.params.revision, 'revision');
+    res.json(await getRevisionOrThrow(req.params.id, revision));
+}));
+
+app.get('/api/layouts/:id/diff', asyncRoute(async (req, res) => {
+    const { id } = req.params;
+    const from = await getRevisionOrThrow(id, parseRevision(req.query.from, 'from'));
+    const to = await getRevisionOrThrow(id, parseRevision(req.query.to, 'to'));
+    // Compare with defaults filled in, so an omitted width and an explicit default are not a "resize".
+    // Derived revisions are expanded against the current base layouts.
+    const layouts = await store.readAll();
+    const changes = diffLayouts(
+        schema.validateLayout(resolveLayout(from.layout, layouts)).value,
+        schema.validateLayout(resolveLayout(to.layout, layouts)).value
+    );
+    res.json({ id, from: from.revision, to: to.revision, ...changes });
+}));
+
+app.post('/api/layouts/:id/rollback', asyncRoute(async (req, res) => {
+    const revision = parseRevision(req.body && req.body.revision, 'revision');
+    const saved = await store.rollback(req.params.id, revision, revisionMeta(req));
+    console.log(`Rolled back layout ${req.params.id} to revision ${revision}`);
+    sendSaved(res, saved);
+}));
+
+// Legacy single-layout endpoint used by the original viewer
+app.get('/api/layout/:id', asyncRoute(async (req, res) => {
+    console.log(`Received request for layout: ${req.params.id}`);
+    res.json(await store.get(req.params.id));
+}));
+
+app.use((err, req, res, next) => {
+    // Malformed JSON bodies are rejected by express.json() with a 400 status
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Malformed JSON body' });
+    }
+    if (err instanceof StoreError) {
+        const body = { error: err.message };
+        if (err.details) body.details = err.details;
+        return res.status(err.status).json(body);
+    }
+    console.error(err);
+    res.status(500).json({ error: 'Internal Server Error' });
 });
+
+Promise.all([
+    loadShared('layoutSchema.js'),
+    loadShared('layoutOverlay.js'),
+    loadShared('floorPlanSvg.js'),
+    loadShared('placementValidation.js')
+])
+    .then(([schemaModule, overlayModule, floorPlanModule, placementModule]) => {
+        schema = schemaModule;
+        overlays = overlayModule;
+        floorPlans = floorPlanModule;
+        placement = placementModule;
+        app.listen(PORT, () => {
+            console.log(`Server running on http://localhost:${PORT}`);
+        });
+    })
+    .catch((err) => {
+        console.error('Failed to load shared layout modules', err);
+        process.exit(1);
+    });
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * A JSON document on disk with atomic writes and serialized read-modify-write access.
+ */
+class JsonFile {
+    /**
+     * @param {string} filePath
+     * @param {object} [emptyValue] Returned by read() while the file does not exist yet. Without it a missing file is an error.
+     */
+    constructor(filePath, emptyValue) {
+        this.filePath = filePath;
+        this.emptyValue = emptyValue;
+        // Mutations are chained so two concurrent requests can never interleave read-modify-write
+        this.queue = Promise.resolve();
+    }
+
+    async read() {
+        let data;
+        try {
+            data = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT' && this.emptyValue !== undefined) {
+                return JSON.parse(JSON.stringify(this.emptyValue));
+            }
+            throw err;
+        }
+        // Let SyntaxError propagate, callers decide how to report a corrupt file
+        return JSON.parse(data);
+    }
+
+    /**
+     * Atomic write: the full document goes to a temp file first and is then renamed over the
+     * original, so a crash mid-write never leaves a truncated file behind.
+     */
+    async write(value) {
+        const tmpPath = path.join(
+            path.dirname(this.filePath),
+            `.${path.basename(this.filePath)}.${process.pid}.${Date.now()}.tmp`
+        );
+        await fs.promises.writeFile(tmpPath, JSON.stringify(value, null, 4), 'utf8');
+        await fs.promises.rename(tmpPath, this.filePath);
+    }
+
+    /**
+     * Run `task` exclusively with respect to other queued tasks on this file.
+     */
+    exclusive(task) {
+        const run = this.queue.then(task);
+        // Keep the queue alive even if this task failed
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Read-modify-write. The mutator receives the current document and returns the value to hand
+     * back to the caller; the (mutated) document is persisted afterwards. Nothing is written if it throws.
+     */
+    mutate(mutator) {
+        return this.exclusive(async () => {
+            const value = await this.read();
+            const result = await mutator(value);
+            await this.write(value);
+            return result;
+        });
+    }
+}
+
+module.exports = { JsonFile };
@@ -0,0 +1,109 @@
+/**
+ * Structural diff between two normalized layout documents (see layoutSchema.js: always `levels`).
+ * Rooms are matched by level name plus `id` (falling back to `name`), furniture by `id`/`name` within
+ * its room. Repeated names are disambiguated by occurrence ("Chair", "Chair#2", ...).
+ */
+
+const TRANSFORM_KEYS = ['position', 'rotation', 'scale'];
+
+function keyedEntries(items) {
+    const seen = new Map();
+    return (items || []).map(item => {
+        const base = item.id || item.name;
+        const count = (seen.get(base) || 0) + 1;
+        seen.set(base, count);
+        return [count === 1 ? base : `${base}#${count}`, item];
+    });
+}
+
+function sameVector(a, b) {
+    if (!a || !b) return a === b;
+    return a.x === b.x && a.y === b.y && a.z === b.z;
+}
+
+function pickTransform(item) {
+    const transform = {};
+    TRANSFORM_KEYS.forEach(key => {
+        if (item[key]) transform[key] = item[key];
+    });
+    return transform;
+}
+
+function diffFurniture(roomName, fromItems, toItems, result) {
+    const before = new Map(keyedEntries(fromItems));
+    const after = new Map(keyedEntries(toItems));
+
+    after.forEach((item, key) => {
+        if (!before.has(key)) {
+            result.furniture.added.push({ room: roomName, key, name: item.name });
+        }
+    });
+
+    before.forEach((item, key) => {
+        const next = after.get(key);
+        if (!next) {
+            result.furniture.removed.push({ room: roomName, key, name: item.name });
+            return;
+        }
+        const changed = TRANSFORM_KEYS.filter(prop => !sameVector(item[prop], next[prop]));
+        if (changed.length > 0) {
+            result.furniture.moved.push({
+                room: roomName,
+                key,
+                name: next.name,
+                changed,
+                from: pickTransform(item),
+                to: pickTransform(next)
+            });
+        }
+    });
+}
+
+function keyedRooms(layout) {
+    return (layout.levels || []).flatMap(level =>
+        keyedEntries(level.rooms).map(([key, room]) => [`${level.name}/${key}`, room])
+    );
+}
+
+/**
+ * @returns {{ rooms: { added, removed, resized }, furniture: { added, removed, moved }, cameraChanged: boolean }}
+ */
+function diffLayouts(fromLayout, toLayout) {
+    const result = {
+        rooms: { added: [], removed: [], resized: [] },
+        furniture: { added: [], removed: [], moved: [] },
+        cameraChanged: JSON.stringify(fromLayout.cameraView || null) !== JSON.stringify(toLayout.cameraView || null)
+    };
+
+    const beforeRooms = new Map(keyedRooms(fromLayout));
+    const afterRooms = new Map(keyedRooms(toLayout));
+
+    afterRooms.forEach((room, key) => {
+        if (!beforeRooms.has(key)) {
+            result.rooms.added.push({ key, name: room.name });
+            diffFurniture(room.name, [], room.furniture, result);
+        }
+    });
+
+    beforeRooms.forEach((room, key) => {
+        const next = afterRooms.get(key);
+        if (!next) {
+            result.rooms.removed.push({ key, name: room.name });
+            diffFurniture(room.name, room.furniture, [], result);
+            return;
+        }
+        if (room.width !== next.width || room.depth !== next.depth) {
+            result.rooms.resized.push({
+                key,
+                name: next.name,
+                from: { width: room.width, depth: room.depth },
+                to: { width: next.width, depth: next.depth }
+            });
+        }
+        diffFurniture(next.name, room.furniture, next.furniture, result);
+    });
+
+    return result;
+}
+
+module.exports = { diffLayouts };
@@ -0,0 +1,225 @@
+const { JsonFile } = require('./jsonFile');
+
+/**
+ * Error raised by the store. `status` maps directly onto the HTTP response code.
+ */
+class StoreError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.name = 'StoreError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Ids become keys of the layout dictionary and URL segments: no `__proto__` or other surprises
+const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * The layout stored under `id`, or null. Only own keys count, so ids such as `constructor` or `toString`
+ * never match what every object inherits.
+ */
+function findLayout(layouts, id) {
+    return Object.hasOwn(layouts, id) ? layouts[id] : null;
+}
+
+/**
+ * JSON file backed layout store.
+ * The file holds a dictionary of layout documents keyed by their id.
+ * `validate(layout, layouts, meta)` is called on every document before it is written and must throw a StoreError to
+ * reject it. `meta` is the write's metadata, so callers can pass per-request checks along with the author.
+ * `resolve(layout, layouts)` expands derived documents (`extends` + `overlay`) into full layouts.
+ * When a `history` (RevisionStore) is given, every successful save is recorded as a numbered revision.
+ */
+class LayoutStore {
+    constructor(filePath, { validate = () => {}, resolve = (layout) => layout, history = null } = {}) {
+        this.file = new JsonFile(filePath);
+        this.validate = validate;
+        this.resolve = resolve;
+        this.history = history;
+    }
+
+    async readAll() {
+        try {
+            return await this.file.read();
+        } catch (err) {
+            if (err instanceof SyntaxError) {
+                throw new StoreError(500, 'Failed to parse layout data');
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Exclusive read-modify-write of the layout dictionary. The mutator returns `{ id, layout }` for the
+     * document it saved (layout null for a delete); the revision is recorded (or, for a delete, the history
+     * dropped) after layout.json is written.
+     * @returns {Promise<{ layout: object|null, revision: object|null }>}
+     */
+    commit(mutator, { author, message } = {}) {
+        return this.file.exclusive(async () => {
+            const layouts = await this.readAll();
+            const previous = { ...layouts };
+            const { id, layout } = mutator(layouts);
+            await this.file.write(layouts);
+
+            let revision = null;
+            if (this.history && layout) {
+                revision = await this.history.append(id, layout, { author, message, previous: findLayout(previous, id) });
+            } else if (this.history) {
+                // A later layout with the same id starts a history of its own
+                await this.history.remove(id);
+            }
+            return { layout, revision };
+        });
+    }
+
+    /**
+     * List layout summaries, optionally filtered by a case-insensitive name substring.
+     */
+    async list({ offset = 0, limit = 20, name } = {}) {
+        const layouts = await this.readAll();
+        let items = Object.values(layouts).map(layout => {
+            const item = { id: layout.id, name: layout.name, roomCount: countRooms(this.tryResolve(layout, layouts)) };
+            if (layout.extends !== undefined) item.extends = layout.extends;
+            return item;
+        });
+
+        if (name) {
+            const needle = name.toLowerCase();
+            items = items.filter(item => (item.name || '').toLowerCase().includes(needle));
+        }
+
+        return {
+            items: items.slice(offset, offset + limit),
+            total: items.length,
+            offset,
+            limit
+        };
+    }
+
+    async get(id) {
+        const layouts = await this.readAll();
+        const layout = findLayout(layouts, id);
+        if (!layout) {
+            throw new StoreError(404, 'Layout not found');
+        }
+        return layout;
+    }
+
+    /**
+     * The layout with any overlay applied, i.e. always a full document
+     */
+    async getResolved(id) {
+        const layouts = await this.readAll();
+        const layout = findLayout(layouts, id);
+        if (!layout) {
+            throw new StoreError(404, 'Layout not found');
+        }
+        return this.resolve(layout, layouts);
+    }
+
+    tryResolve(layout, layouts) {
+        try {
+            return this.resolve(layout, layouts);
+        } catch (err) {
+            return layout;
+        }
+    }
+
+    create(layout, meta) {
+        return this.commit(layouts => {
+            const id = layout.id || slugify(layout.name);
+            if (!id) {
+                throw new StoreError(400, 'Layout requires an id or a name');
+            }
+            if (!ID_PATTERN.test(id)) {
+                throw new StoreError(400, `Layout id ${id} may only contain letters, digits, ".", "_" and "-"`);
+            }
+            if (findLayout(layouts, id)) {
+                throw new StoreError(409, `Layout ${id} already exists`);
+            }
+            const created = { ...layout, id };
+            this.validate(created, layouts, meta);
+            layouts[id] = created;
+            return { id, layout: created };
+        }, meta);
+    }
+
+    replace(id, layout, meta) {
+        return this.commit(layouts => {
+            if (!findLayout(layouts, id)) {
+                throw new StoreError(404, 'Layout not found');
+            }
+            if (layout.id && layout.id !== id) {
+                throw new StoreError(409, `Layout id ${layout.id} does not match ${id}`);
+            }
+            const replaced = { ...layout, id };
+            this.validate(replaced, layouts, meta);
+            layouts[id] = replaced;
+            return { id, layout: replaced };
+        }, meta);
+    }
+
+    /**
+     * Shallow merge: top level keys in the patch replace the stored ones (e.g. `rooms` is replaced as a whole).
+     */
+    patch(id, changes, meta) {
+        return this.commit(layouts => {
+            if (!findLayout(layouts, id)) {
+                throw new StoreError(404, 'Layout not found');
+            }
+            if (changes.id && changes.id !== id) {
+                throw new StoreError(409, `Layout id ${changes.id} does not match ${id}`);
+            }
+            // The merged result is validated, so a patch may not leave the document broken
+            const patched = { ...layouts[id], ...changes, id };
+            this.validate(patched, layouts, meta);
+            layouts[id] = patched;
+            return { id, layout: patched };
+        }, meta);
+    }
+
+    remove(id) {
+        return this.commit(layouts => {
+            if (!findLayout(layouts, id)) {
+                throw new StoreError(404, 'Layout not found');
+            }
+            // Derived layouts would be left without a base
+            const dependents = Object.values(layouts).filter(layout => layout.extends === id).map(layout => layout.id);
+            if (dependents.length > 0) {
+                throw new StoreError(409, `Layout ${id} is extended by ${dependents.join(', ')}`);
+            }
+            delete layouts[id];
+            return { id, layout: null };
+        });
+    }
+
+    /**
+     * Restore the snapshot of an earlier revision. The rollback itself becomes a new revision.
+     */
+    async rollback(id, revision, { author } = {}) {
+        if (!this.history) {
+            throw new StoreError(400, 'Revision history is not enabled');
+        }
+        const entry = await this.history.get(id, revision);
+        if (!entry) {
+            throw new StoreError(404, `Revision ${revision} of layout ${id} not found`);
+        }
+        return this.replace(id, entry.layout, { author, message: `Rollback to revision ${revision}` });
+    }
+}
+
+function countRooms(layout) {
+    if (Array.isArray(layout.levels)) {
+        return layout.levels.reduce((sum, level) => sum + (Array.isArray(level.rooms) ? level.rooms.length : 0), 0);
+    }
+    return Array.isArray(layout.rooms) ? layout.rooms.length : 0;
+}
+
+function slugify(name) {
+    if (typeof name !== 'string') return '';
+    return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+module.exports = { LayoutStore, StoreError, findLayout };
@@ -0,0 +1,74 @@
+const { JsonFile } = require('./jsonFile');
+
+/**
+ * Numbered revision history per layout id, persisted next to layout.json.
+ * Shape: { [layoutId]: [{ revision, author, timestamp, message, layout }] }
+ */
+class RevisionStore {
+    constructor(filePath) {
+        this.file = new JsonFile(filePath, {});
+    }
+
+    /**
+     * Append a snapshot of `layout` as the next revision and return its metadata.
+     * `previous` is the document being overwritten: layouts that predate the history (e.g. hand-written
+     * entries in layout.json) get it recorded as revision 1 so their original state is not lost.
+     */
+    append(id, layout, { author = 'anonymous', message = '', previous = null } = {}) {
+        return this.file.mutate(history => {
+            if (!Object.hasOwn(history, id)) history[id] = [];
+            const revisions = history[id];
+            if (revisions.length === 0 && previous) {
+                revisions.push(createRevision(1, previous, 'system', 'Initial version'));
+            }
+            const entry = createRevision(revisions.length + 1, layout, author, message);
+            revisions.push(entry);
+            return summarize(entry);
+        });
+    }
+
+    /**
+     * Drop the whole history of a deleted layout
+     */
+    remove(id) {
+        return this.file.mutate(history => {
+            delete history[id];
+        });
+    }
+
+    async list(id) {
+        const history = await this.file.read();
+        return revisionsOf(history, id).map(summarize);
+    }
+
+    /**
+     * @returns {object|null} Full revision entry including the layout snapshot
+     */
+    async get(id, revision) {
+        const history = await this.file.read();
+        return revisionsOf(history, id).find(entry => entry.revision === revision) || null;
+    }
+}
+
+/**
+ * Revisions of `id`; own keys only, so ids such as `constructor` never match inherited properties
+ */
+function revisionsOf(history, id) {
+    return Object.hasOwn(history, id) ? history[id] : [];
+}
+
+function createRevision(revision, layout, author, message) {
+    return {
+        revision,
+        author,
+        timestamp: new Date().toISOString(),
+        message,
+        layout
+    };
+}
+
+function summarize({ layout, ...meta }) {
+    return meta;
+}
+
+module.exports = { RevisionStore };